@@ -16,6 +16,7 @@ limitations under the License.
 */
 
 const fs = require('fs');
+const http = require('http');
 const stream = require('stream/promises');
 const receiptio = require('receiptio');
 
@@ -31,9 +32,243 @@ const receiptio = require('receiptio');
         'offline': 104,
         'disconnect': 105,
         'timeout': 106,
+        'canceled': 107,
+        'invalid': 108,
         'drawerclosed': 200,
         'draweropen': 201
     };
+    if (argv[0] === 'serve') {
+        // server options
+        const server = { host: '127.0.0.1', port: 8080 };
+        for (let i = 1; i < argv.length - 1; i++) {
+            if (/^--(host|port)$/.test(argv[i])) {
+                server[argv[i].slice(2)] = argv[++i];
+            }
+        }
+        const port = Number(server.port);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            console.error(`Option "--port" must be an integer between 1 and 65535: ${JSON.stringify(server.port)}`);
+            process.exitCode = 1;
+            return;
+        }
+        // rendering options of preview
+        const rendering = [ 'cpl', 'language', 'upsideDown', 'landscape', 'resolution', 'spacing', 'cutting', 'margin', 'asImage', 'threshold', 'gamma', 'dither' ];
+        // options not allowed for print
+        const restricted = [ 'trace', 'profile', 'failover', 'groups' ];
+        // content type of preview
+        const mime = { svg: 'image/svg+xml', png: 'image/png', pbm: 'image/x-portable-bitmap', txt: 'text/plain; charset=utf-8', text: 'text/plain; charset=utf-8' };
+        // send response
+        const send = (res, status, body, type) => {
+            res.writeHead(status, { 'Content-Type': type || 'application/json; charset=utf-8' });
+            res.end(type ? body : JSON.stringify(body));
+        };
+        // http server
+        http.createServer(async (req, res) => {
+            // cancel on disconnect
+            const controller = new AbortController();
+            res.on('close', () => controller.abort());
+            try {
+                // request body
+                let body = '';
+                for await (const chunk of req.setEncoding('utf8')) {
+                    body += chunk;
+                    if (body.length > 1048576) {
+                        send(res, 413, { error: 'Payload too large' });
+                        return;
+                    }
+                }
+                // markdown and options
+                const json = /^application\/json/.test(req.headers['content-type']);
+                const request = json ? JSON.parse(body) : { markdown: body };
+                if (typeof request !== 'object' || request === null || Array.isArray(request)) {
+                    throw new TypeError('Request body must be an object');
+                }
+                const { markdown = '', options = {} } = request;
+                if (typeof markdown !== 'string') {
+                    throw new TypeError('Markdown must be a string');
+                }
+                if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+                    throw new TypeError('Options must be an object');
+                }
+                // endpoint
+                const url = new URL(req.url, 'http://localhost');
+                const [ , name, arg ] = url.pathname.split('/').map(c => decodeURIComponent(c));
+                if (name === 'print' && arg && req.method === 'POST') {
+                    // print receipt
+                    const key = restricted.find(key => key in options);
+                    if (key) {
+                        throw new TypeError(`Option "${key}" is not allowed`);
+                    }
+                    const detail = await receiptio.print(markdown, Object.assign({}, options, { destination: arg, detail: true, signal: controller.signal }));
+                    send(res, 200, Object.assign({ code: code[detail.status] }, detail));
+                }
+                else if (name === 'status' && arg && req.method === 'GET') {
+                    // inquire status
+                    const inquiry = url.searchParams.get('device') || true;
+                    const detail = await receiptio.print('', { destination: arg, inquiry: inquiry, detail: true, signal: controller.signal });
+                    send(res, 200, Object.assign({ code: code[detail.status] }, detail));
+                }
+                else if (name === 'preview' && mime[arg] && req.method === 'POST') {
+                    // convert to print image
+                    const preview = Object.fromEntries(Object.entries(options).filter(([ key ]) => rendering.includes(key)));
+                    const transform = receiptio.createPrint(Object.assign(preview, { printer: arg, signal: controller.signal }));
+                    const chunks = [];
+                    transform.end(markdown);
+                    for await (const chunk of transform) {
+                        chunks.push(Buffer.from(chunk));
+                    }
+                    send(res, 200, Buffer.concat(chunks), mime[arg]);
+                }
+                else {
+                    // not found
+                    send(res, 404, { error: 'Not found' });
+                }
+            }
+            catch (e) {
+                // invalid request
+                if (!res.headersSent) {
+                    send(res, /^(TypeError|RangeError|SyntaxError)$/.test(e.name) ? 400 : 500, { error: e.message });
+                }
+            }
+        }).on('error', e => {
+            // listen error (e.g. address in use)
+            console.error(e.message);
+            process.exitCode = 1;
+        }).listen(port, server.host, function () {
+            const { address, port } = this.address();
+            console.error(`receiptio serve: http://${/:/.test(address) ? `[${address}]` : address}:${port}/`);
+        });
+        return;
+    }
+    if (argv[0] === 'discover') {
+        // discovery options
+        const options = { subnet: [], port: 9100 };
+        let json = false;
+        for (let i = 1; i < argv.length; i++) {
+            if (argv[i] === '--subnet' && i < argv.length - 1) {
+                options.subnet.push(argv[++i]);
+            }
+            else if (argv[i] === '--port' && i < argv.length - 1) {
+                options.port = Number(argv[++i]);
+            }
+            else if (argv[i] === '--json') {
+                json = true;
+            }
+        }
+        // cancel on interrupt
+        const controller = new AbortController();
+        process.once('SIGINT', () => controller.abort());
+        options.signal = controller.signal;
+        try {
+            const printers = await receiptio.discover(options);
+            if (json) {
+                console.log(JSON.stringify(printers));
+            }
+            else {
+                printers.forEach(p => console.log([ p.destination, p.protocol, [ p.manufacturer, p.model ].filter(s => s).join(' ') || '-', p.status ].join('\t')));
+            }
+        }
+        catch (e) {
+            console.error(e.message);
+            process.exitCode = 1;
+        }
+        return;
+    }
+    if (argv[0] === 'replay') {
+        // trace file
+        const file = argv.slice(1).find(arg => /^[^-]/.test(arg));
+        const json = argv.includes('--json');
+        if (!file) {
+            console.error('usage: receiptio replay <trace> [--json]');
+            process.exitCode = 1;
+            return;
+        }
+        // cancel on interrupt
+        const controller = new AbortController();
+        process.once('SIGINT', () => controller.abort());
+        try {
+            const results = await receiptio.replay(file, { signal: controller.signal });
+            if (json) {
+                console.log(JSON.stringify(results));
+            }
+            else {
+                results.forEach(r => console.log(`${r.id}: ${r.replayed.status} (recorded: ${r.recorded})`));
+            }
+            // replayed results differ from recorded results
+            process.exitCode = results.every(r => r.replayed.status === r.recorded) ? 0 : 1;
+        }
+        catch (e) {
+            console.error(e.message);
+            process.exitCode = 1;
+        }
+        return;
+    }
+    if (argv[0] === 'emulate') {
+        // emulator options
+        const server = { host: '127.0.0.1', port: 9100 };
+        const options = {};
+        for (let i = 1; i < argv.length - 1; i++) {
+            if (/^--(host|port)$/.test(argv[i])) {
+                server[argv[i].slice(2)] = argv[++i];
+            }
+            else if (/^--(model|output)$/.test(argv[i])) {
+                options[argv[i].slice(2)] = argv[++i];
+            }
+            else if (argv[i] === '-c') {
+                options.cpl = Number(argv[++i]);
+            }
+            else if (argv[i] === '-l') {
+                options.language = argv[++i];
+            }
+        }
+        let emulator;
+        try {
+            emulator = receiptio.createEmulator(options);
+            const { address, port } = await emulator.listen(Number(server.port), server.host);
+            console.error(`receiptio emulate: tcp://${/:/.test(address) ? `[${address}]` : address}:${port}/`);
+        }
+        catch (e) {
+            console.error(e.message);
+            process.exitCode = 1;
+            return;
+        }
+        emulator.on('print', p => console.error(`print: ${p.file || `${p.data.length} bytes`}`));
+        emulator.on('status', s => console.error(`status: ${JSON.stringify(s)}`));
+        emulator.on('error', e => console.error(e.message));
+        // status changes from standard input (<status>=<value> ...)
+        let rest = '';
+        process.stdin.setEncoding('utf8').on('data', chunk => {
+            const lines = (rest + chunk).split(/\r?\n/);
+            rest = lines.pop();
+            for (const line of lines) {
+                try {
+                    emulator.set(Object.fromEntries(line.split(/\s+/).filter(s => s).map(s => {
+                        const [ key, value = 'true' ] = s.split('=');
+                        return [ key, key === 'slow' ? Number(value) : /^(true|1|on)$/i.test(value) ? true : /^(false|0|off)$/i.test(value) ? false : value ];
+                    })));
+                }
+                catch (e) {
+                    console.error(e.message);
+                }
+            }
+        });
+        // stop on interrupt
+        process.once('SIGINT', async () => {
+            process.stdin.destroy();
+            await emulator.close();
+        });
+        return;
+    }
+    // destination of printer profile
+    const profile = name => {
+        try {
+            return receiptio.getProfile(name).destination;
+        }
+        catch (e) {
+            // errors are reported by createPrint
+            return undefined;
+        }
+    };
     // print result
     let result = '';
     // result receiver
@@ -48,18 +283,28 @@ const receiptio = require('receiptio');
     // parameters
     const params = {
         h: false, // show help
-        d: '', // ip address or serial/usb port of target printer
+        P: '', // printer profile
+        d: '', // network address or serial/usb port of target printer
         o: '', // file to output (if -d option is not present)
-        q: '' // inquire status (printer/drawer/drawer2)
+        q: '', // inquire status (printer/drawer/drawer2/info)
+        k: '', // open cash drawer (drawer,on,off)
+        w: false, // watch status
+        a: false, // wait until cash drawer is closed
+        f: '', // failover destinations
+        json: false // detailed result in json
     };
     // parse arguments
     for (let i = 0; i < argv.length; i++) {
         const key = argv[i];
-        if (/^-[huvsni]$/.test(key)) {
+        if (/^-[huvsniwa]$/.test(key)) {
             // option without value
             params[key[1]] = true;
         }
-        else if (/^-[dopqcrmbgtl]$/.test(key)) {
+        else if (/^-[df]$/.test(key) && params[key[1]] && i < argv.length - 1 && /^[^-]/.test(argv[i + 1])) {
+            // multiple destinations
+            params[key[1]] = [].concat(params[key[1]], argv[++i]);
+        }
+        else if (/^-[Pdopqkcrmbgtlfx]$/.test(key)) {
             // option with value
             if (i < argv.length - 1) {
                 const value = argv[i + 1];
@@ -71,9 +316,25 @@ const receiptio = require('receiptio');
             // default value of status inquiry
             if (key[1] === 'q') {
                 let q = params.q.toLowerCase();
-                params.q = /^drawer2?$/.test(q) ? q : 'printer';
+                params.q = /^(drawer2?|info)$/.test(q) ? q : 'printer';
+                // printer information in json
+                if (q === 'info') {
+                    params.json = true;
+                }
+            }
+            // default value of cash drawer
+            if (key[1] === 'k') {
+                params.k = /^[12](,|$)/.test(params.k) ? params.k : '1';
             }
         }
+        else if (key === '--json') {
+            // detailed result
+            params.json = true;
+        }
+        else if (/^--(trace|dither)$/.test(key) && i < argv.length - 1) {
+            // trace file or dithering method
+            i++;
+        }
         else if (/^[^-]/.test(key)) {
             // source
             source = key;
@@ -86,25 +347,48 @@ const receiptio = require('receiptio');
         // show help
         console.error(`
 usage: receiptio [options] [source]
+       receiptio serve [--host <host>] [--port <port>]
+       receiptio discover [--subnet <address>/<prefix>] [--port <port>] [--json]
+       receiptio emulate [--model <model>] [--host <host>] [--port <port>] [--output <dir>] [-c <chars>] [-l <language>]
+       receiptio replay <trace> [--json]
 source:
   receipt markdown text file
   https://receiptline.github.io/designer/
   if source is not present, standard input
 options:
   -h                show help
-  -d <destination>  ip address or serial/usb port of target printer
+  -P <profile>      printer profile in configuration file
+                    (RECEIPTIO_CONFIG or ~/.receiptio.json)
+  -d <destination>  network address or serial/usb port of target printer
+                    (repeat -d to print to multiple printers in parallel)
+  -f <destination>  failover printer (repeat -f for the order of failover)
+  -x <results>      results to fail over (default: offline,disconnect,coveropen,paperempty)
+  --banner          print "REROUTED FROM <destination>" on the failover printer
   -o <outfile>      file to output (if -d option is not present)
                     if -d and -o are not present, standard output
   -q [<device>]     inquire status (printer/drawer/drawer2) (default: printer)
+                    or printer information in json (info)
+  -w                watch status changes until interrupted (with -d)
+  -k [<d>][,<on>][,<off>]
+                    open cash drawer without printing (with -d)
+                    (drawer: 1-2, pulse on/off: 2-800 msec) (default: 1,100,500)
+  -a                wait until cash drawer is closed or -t timeout (with -d)
+  --json            output detailed result and printer status in json (with -d)
+  --trace <file>    append printer communication and state transitions to file
+                    (with -d, replay with "receiptio replay <file>")
   -c <chars>        characters per line (24-96) (default: 48)
   -u                upside down
-  -v                landscape orientation (for escpos/epson/sii/citizen/star)
-  -r <dpi>          print resolution for -v (180/203) (default: 203)
+  -v                landscape orientation (not for svg/png/txt/text)
+                    (other than escpos/epson/sii/citizen/fit/generic/star/
+                     starline/emustarline, printed as image)
+  -r <dpi>          print resolution for -v and pbm (180/203) (default: 203)
   -s                paper saving (reduce line spacing)
   -n                no paper cut
   -m [<l>][,<r>]    print margin (left: 0-24, right: 0-24) (default: 0,0)
-  -i                print as image (requires puppeteer or sharp)
+  -i                print as image
   -b <threshold>    image thresholding (0-255)
+  --dither <method> image dithering (floyd-steinberg/atkinson/stucki/burkes/
+                    bayer/threshold) (default: built-in error diffusion)
   -g <gamma>        image gamma correction (0.1-10.0) (default: 1.0)
   -t <timeout>      print timeout (0-3600 sec) (default: 300)
   -l <language>     language of source file (default: system locale)
@@ -112,44 +396,121 @@ options:
   -p <printer>      printer control language (default: auto detection)
                     (escpos/epson/sii/citizen/fit/impact/impactb/generic/
                      star/starline/emustarline/stargraphic/
-                     starimpact/starimpact2/starimpact3/svg/png/txt/text)
-                    (png requires puppeteer or sharp)
+                     starimpact/starimpact2/starimpact3/svg/png/pbm/txt/text)
 print results:
   success(0), online(100), coveropen(101), paperempty(102),
-  error(103), offline(104), disconnect(105), timeout(106),
-  drawerclosed(200), draweropen(201)
+  error(103), offline(104), disconnect(105), timeout(106), canceled(107),
+  invalid(108), drawerclosed(200), draweropen(201)
 examples:
   receiptio -d com9 -q
+  receiptio -d com9 -q --json
+  receiptio -d 192.168.192.168 -q info
+  receiptio -d 192.168.192.168 -k 2,200,200
+  receiptio -d 192.168.192.168 -k -a -t 60 --json
+  receiptio -d 192.168.192.168 -w
+  receiptio serve --port 8080
+  receiptio discover --subnet 192.168.192.0/24
+  receiptio emulate --model star --port 9100 --output receipts
+  receiptio -d 192.168.192.168 --trace trace.jsonl example.receipt
+  receiptio replay trace.jsonl
   receiptio -d COM1 example.receipt
+  receiptio -d 192.168.192.168 -d 192.168.192.169 example.receipt
+  receiptio -d 192.168.192.168 -f 192.168.192.169 --banner example.receipt
+  receiptio -d kitchen example.receipt
+  receiptio -P kitchen -c 42 example.receipt
   receiptio -d /dev/usb/lp0 example.receipt
   receiptio -d /dev/ttyS0 -u -b 160 example.receipt
   receiptio -d 192.168.192.168 -c 42 example.receipt
+  receiptio -d tcp://printer.local:4001 example.receipt
   receiptio example.receipt -o receipt.png
+  receiptio example.receipt -o receipt.pbm --dither atkinson
   receiptio example.receipt -o receipt.txt
   receiptio example.receipt -p escpos -i -b 128 -g 1.8 -o receipt.prn
+  receiptio -d 192.168.192.168 -i --dither atkinson example.receipt
   receiptio < example.receipt > receipt.svg
   echo {c:1234567890} | receiptio | more`);
         process.exitCode = 1;
     }
     else {
         // options
-        const options = argv.join(' ');
+        const options = argv.join(' ') + (params.f && !params.json ? ' --json' : '');
+        // print or transform (before opening the output file)
+        let transform;
+        try {
+            transform = receiptio.createPrint(options);
+        }
+        catch (e) {
+            // invalid options or profile
+            console.error(e.message);
+            process.exitCode = 1;
+            return;
+        }
         // source
-        const input = params.q ? '' : source ? fs.createReadStream(source) : process.stdin;
+        const dest = params.d || params.P && profile(params.P);
+        const input = params.q || (params.w || params.k || params.a) && dest ? '' : source ? fs.createReadStream(source) : process.stdin;
         // destination
-        const output = params.d ? receiver : params.o ? fs.createWriteStream(params.o) : process.stdout;
-        // print or transform
-        await stream.pipeline(input, receiptio.createPrint(options), output).then(() => {
+        const output = dest ? receiver : params.o ? fs.createWriteStream(params.o) : process.stdout;
+        // cancel on interrupt
+        const controller = new AbortController();
+        process.once('SIGINT', () => controller.abort());
+        // status changes
+        const current = { printer: '', drawer: '' };
+        transform.on('change', status => {
+            if (params.json) {
+                console.log(JSON.stringify(status));
+            }
+            else {
+                for (const device of [ 'printer', 'drawer' ]) {
+                    if (status[device] && status[device] !== current[device]) {
+                        console.log(status[device]);
+                    }
+                }
+            }
+            Object.assign(current, status);
+        });
+        await stream.pipeline(input, transform, output, { signal: controller.signal }).then(() => {
             // result
-            if (result) {
+            const results = /^\{/.test(result) ? JSON.parse(result) : null;
+            if (results && !('status' in results)) {
+                // results for each destination
+                const status = Object.values(results).map(res => params.json ? res.status : res);
+                if (params.json) {
+                    console.log(result);
+                }
+                else {
+                    Object.keys(results).forEach((d, i) => console.error(`${d}: ${status[i]}`));
+                }
+                // worst result
+                const failure = status.map(s => code[s]).filter(c => c > 100 && c < 200);
+                process.exitCode = Math.max(...(failure.length > 0 ? failure : status.map(s => code[s])));
+            }
+            else if (results && !params.json) {
+                // destination that printed the receipt
+                console.error(`${results.destination}: ${results.status}`);
+                process.exitCode = code[results.status];
+            }
+            else if (results) {
+                console.log(result);
+                process.exitCode = code[results.status];
+            }
+            else if (result) {
                 console.error(result);
                 process.exitCode = code[result];
             }
         }).catch(e => {
-            // error
-            console.error(e.message);
-            process.exitCode = 1;
+            if (e.name === 'AbortError') {
+                // canceled
+                console.error('canceled');
+                process.exitCode = code.canceled;
+            }
+            else {
+                // error
+                console.error(e.message);
+                process.exitCode = 1;
+            }
         });
+        // close shared browser
+        await receiptio.close();
     }
 
 })(process.argv.slice(2));
@@ -15,18 +15,406 @@ limitations under the License.
 */
 
 declare module 'receiptio' {
-    import { Transform } from 'node:stream';
+    import { EventEmitter } from 'node:events';
+    import { Duplex, Transform } from 'node:stream';
+    import { AddressInfo } from 'node:net';
+    /**
+     * Options object.
+     */
+    export interface PrintOptions {
+        /** printer profile in configuration file (-P) */
+        profile?: string;
+        /** network address or serial/usb port of target printer (-d) */
+        destination?: string | string[];
+        /** file name to detect output format (-o) */
+        output?: string;
+        /** printer control language (-p) */
+        printer?: string;
+        /** inquire status without printing (-q) */
+        inquiry?: true | 'printer' | 'drawer' | 'drawer2' | 'info';
+        /** characters per line (-c) (24-96) */
+        cpl?: number;
+        /** upside down (-u) */
+        upsideDown?: boolean;
+        /** landscape orientation (-v) */
+        landscape?: boolean;
+        /** print resolution for landscape (-r) (180/203) */
+        resolution?: 180 | 203;
+        /** line spacing (false: -s) */
+        spacing?: boolean;
+        /** paper cut (false: -n) */
+        cutting?: boolean;
+        /** print margin (-m) (left, [left, right]) (0-24) */
+        margin?: number | [number, number?];
+        /** print as image (-i) */
+        asImage?: boolean;
+        /** image thresholding (-b) (0-255) */
+        threshold?: number;
+        /** image gamma correction (-g) (0.1-10.0) */
+        gamma?: number;
+        /** image dithering method (--dither) */
+        dither?: 'floyd-steinberg' | 'atkinson' | 'stucki' | 'burkes' | 'bayer' | 'threshold';
+        /** print timeout (-t) (0-3600 sec) */
+        timeout?: number;
+        /** watch status changes until canceled (-w) */
+        watch?: boolean;
+        /** open cash drawer without printing: drawer, or [drawer, on, off] (-k) */
+        kick?: true | 1 | 2 | number[];
+        /** wait until cash drawer is closed or timeout (-a) */
+        waitDrawer?: boolean;
+        /** language of receipt markdown text (-l) */
+        language?: string;
+        /** return detailed result object instead of result string (with destination or connection) */
+        detail?: boolean;
+        /** abort signal to cancel printing */
+        signal?: AbortSignal;
+        /** event emitter to report progress and status (state/status/progress/model/result) */
+        emitter?: EventEmitter;
+        /** failover printers in order (-f) */
+        failover?: string | string[];
+        /** results to fail over (-x) (default: offline, disconnect, coveropen, paperempty) */
+        failoverOn?: Array<'offline' | 'disconnect' | 'coveropen' | 'paperempty' | 'error' | 'timeout'>;
+        /** banner line of the rerouted receipt, {destination} is replaced with the first destination (--banner) */
+        banner?: boolean | string;
+        /** named groups of destinations */
+        groups?: Record<string, string[]>;
+        /** file to append printer communication and state transitions (--trace) */
+        trace?: string;
+    }
+    /**
+     * Detailed result.
+     */
+    export interface DeviceStatus {
+        /** printer is online (null for SII) */
+        online: boolean | null;
+        /** cover is open */
+        coverOpen: boolean;
+        /** no receipt paper */
+        paperEmpty: boolean;
+        /** receipt paper is near end (null for SII) */
+        paperNearEnd: boolean | null;
+        /** printer error (except cover open and paper empty) */
+        error: boolean;
+        /** recoverable error (null for SII) */
+        recoverableError: boolean | null;
+        /** autocutter error (null for SII) */
+        cutterError: boolean | null;
+        /** unrecoverable error (null for SII) */
+        unrecoverableError: boolean | null;
+        /** automatically recoverable error (null for SII) */
+        autoRecoverableError: boolean | null;
+        /** drawer is open (drawer kick connector pin 3 only) */
+        drawerOpen: boolean;
+    }
+    export interface PrinterInfo {
+        /** manufacturer name */
+        manufacturer: string | null;
+        /** model name */
+        model: string | null;
+        /** firmware version */
+        firmware: string | null;
+        /** serial number */
+        serial: string | null;
+        /** installed additional fonts and their code pages */
+        fonts: string | null;
+        /** paper width in mm (58 or 80) */
+        paperWidth: number | null;
+    }
+    export interface PrintResult {
+        /** print result or printer status */
+        status: string;
+        /** destination of the printer */
+        destination: string;
+        /** detected communication mode (escpos/generic/sii/star) */
+        mode: string;
+        /** printer control language (epson/impactb/starmbcs/...) */
+        protocol: string;
+        /** manufacturer name from GS I */
+        manufacturer: string;
+        /** model name from GS I */
+        model: string;
+        /** bytes sent to the printer */
+        bytes: number;
+        /** time spent in each phase (msec) */
+        time: {
+            connect: number;
+            detect: number;
+            print: number;
+            total: number;
+            drawer: number;
+        };
+        /** last printer status, or null if not available */
+        deviceStatus: DeviceStatus | null;
+        /** printer information (-q info) */
+        info: PrinterInfo | null;
+        /** results of each printer with failover */
+        failover?: { destination: string; status: string }[];
+    }
+    /**
+     * Print receipts or get printer status for each destination.
+     * @param {string | Record<string, string>} receiptmd receipt markdown text, or receipt markdown text for each destination or group
+     * @param {string | PrintOptions} [options] options with multiple destinations or a group
+     * @returns {Promise<Record<string, string | PrintResult>>} results for each destination
+     */
+    export function print(receiptmd: Record<string, string>, options?: string | PrintOptions): Promise<Record<string, string | PrintResult>>;
+    /**
+     * Print receipts or get printer status with detailed result.
+     * @param {string} receiptmd receipt markdown text
+     * @param {PrintOptions} options options object with detail
+     * @param {Duplex} [connection] connection to the printer instead of destination
+     * @returns {Promise<PrintResult>} detailed result
+     */
+    export function print(receiptmd: string, options: PrintOptions & ({ detail: true } | { inquiry: 'info' }), connection?: Duplex): Promise<PrintResult>;
     /**
      * Print receipts, get printer status, or convert to print images.
      * @param {string} receiptmd receipt markdown text
-     * @param {string} [options] options ([-d destination] [-p printer] [-q] [-c chars] [-u] [-v] [-r] [-s] [-n] [-i] [-b threshold] [-g gamma] [-t timeout] [-l language])
+     * @param {string | PrintOptions} [options] options ([-d destination] [-p printer] [-q] [-c chars] [-u] [-v] [-r] [-s] [-n] [-i] [-b threshold] [-g gamma] [-t timeout] [-l language]) or options object
+     * @param {Duplex} [connection] connection to the printer instead of -d destination
      * @returns {Promise<string>} print result, printer status, or print image
      */
-    export function print(receiptmd: string, options?: string): Promise<string>;
+    export function print(receiptmd: string, options?: string | PrintOptions, connection?: Duplex): Promise<string>;
     /**
      * Create a transform stream to print receipts, get printer status, or convert to print images.
-     * @param {string} [options] options ([-d destination] [-p printer] [-q] [-c chars] [-u] [-v] [-r] [-s] [-n] [-i] [-b threshold] [-g gamma] [-t timeout] [-l language])
+     * @param {string | PrintOptions} [options] options ([-d destination] [-p printer] [-q] [-c chars] [-u] [-v] [-r] [-s] [-n] [-i] [-b threshold] [-g gamma] [-t timeout] [-l language]) or options object
+     * @param {Duplex} [connection] connection to the printer instead of -d destination
      * @returns {Transform} transform stream
      */
-    export function createPrint(options?: string): Transform;
+    export function createPrint(options?: string | PrintOptions, connection?: Duplex): Transform;
+    /**
+     * Session that keeps the connection to the printer.
+     */
+    export interface PrintSession {
+        /**
+         * Print a receipt on the kept connection.
+         * @param {string} receiptmd receipt markdown text
+         * @returns {Promise<string | PrintResult>} print result (or detailed result with detail option)
+         */
+        print(receiptmd: string): Promise<string | PrintResult>;
+        /**
+         * Wait for pending jobs and close the connection.
+         * @returns {Promise<void>}
+         */
+        close(): Promise<void>;
+    }
+    /**
+     * Create a session that keeps the connection to the printer for multiple print jobs.
+     * @param {string | PrintOptions} options options with destination
+     * @returns {PrintSession} session
+     */
+    export function createSession(options: string | PrintOptions): PrintSession;
+    /**
+     * Queue options.
+     */
+    export interface QueueOptions {
+        /** maximum number of retries on offline or disconnect (default: Infinity) */
+        retries?: number;
+        /** maximum number of holds on printer error for each job (default: 3) */
+        holds?: number;
+        /** first retry delay in msec, doubled for each retry (default: 1000) */
+        delay?: number;
+        /** maximum retry delay in msec (default: 60000) */
+        maxDelay?: number;
+        /** status polling interval in msec while jobs are held (default: 5000) */
+        interval?: number;
+    }
+    /**
+     * Queue event.
+     */
+    export interface QueueEvent {
+        /** job id */
+        id: string;
+        /** destination */
+        destination: string;
+        /** number of retries */
+        attempts: number;
+        /** print result or printer status */
+        result: string;
+        /** retry delay in msec (retry event only) */
+        delay?: number;
+    }
+    /**
+     * Print queue.
+     */
+    export interface PrintQueue extends EventEmitter {
+        /**
+         * Add a print job to the spool directory.
+         * @param {string} receiptmd receipt markdown text
+         * @param {string | PrintOptions} options options with destination
+         * @returns {Promise<string>} job id
+         */
+        add(receiptmd: string, options: string | PrintOptions): Promise<string>;
+        /**
+         * Stop printing and keep pending jobs in the spool directory.
+         * @returns {Promise<void>}
+         */
+        close(): Promise<void>;
+        on(event: 'done' | 'retry' | 'hold' | 'resume' | 'failed', listener: (event: QueueEvent) => void): this;
+        on(event: 'error', listener: (error: Error) => void): this;
+    }
+    /**
+     * Create a print queue that spools jobs to a directory and prints them in order per destination.
+     * @param {string} spool spool directory
+     * @param {QueueOptions} [options] queue options
+     * @returns {PrintQueue} print queue
+     */
+    export function createQueue(spool: string, options?: QueueOptions): PrintQueue;
+    /**
+     * Discovery options.
+     */
+    export interface DiscoveryOptions {
+        /** IPv4 subnets to scan (<address>/<prefix>, prefix length: 16-32) */
+        subnet?: string | string[];
+        /** TCP port to scan (default: 9100) */
+        port?: number;
+        /** probe serial ports (default: true) */
+        serial?: boolean;
+        /** probe USB line printer devices (default: true) */
+        usb?: boolean;
+        /** maximum number of concurrent probes (default: 64) */
+        concurrency?: number;
+        /** cancel discovery */
+        signal?: AbortSignal;
+        /** printer event emitter */
+        emitter?: EventEmitter;
+    }
+    /**
+     * Discovered printer.
+     */
+    export interface DiscoveredPrinter {
+        /** destination */
+        destination: string;
+        /** printer status */
+        status: string;
+        /** printer control language */
+        protocol: string;
+        /** manufacturer */
+        manufacturer: string;
+        /** model */
+        model: string;
+    }
+    /**
+     * Discover printers on serial ports, USB line printer devices, and network.
+     * @param {DiscoveryOptions} [options] discovery options
+     * @returns {Promise<DiscoveredPrinter[]>} printers that responded
+     */
+    export function discover(options?: DiscoveryOptions): Promise<DiscoveredPrinter[]>;
+    /**
+     * Emulator options.
+     */
+    export interface EmulatorOptions {
+        /** printer to emulate (default: epson) */
+        model?: 'epson' | 'citizen' | 'fit' | 'sii' | 'star';
+        /** characters per line of rendered receipts (default: 48) */
+        cpl?: number;
+        /** language to decode multibyte characters */
+        language?: string;
+        /** directory to save rendered receipts */
+        output?: string;
+    }
+    /**
+     * Status of virtual printer.
+     */
+    export interface EmulatorStatus {
+        /** cover open */
+        coverOpen: boolean;
+        /** paper empty */
+        paperEmpty: boolean;
+        /** paper near end */
+        paperNearEnd: boolean;
+        /** cutter error */
+        error: boolean;
+        /** no response */
+        offline: boolean;
+        /** cash drawer open */
+        drawerOpen: boolean;
+        /** receiving speed in bytes per second (0: unlimited) */
+        slow: number;
+    }
+    /**
+     * Received receipt.
+     */
+    export interface EmulatorPrint {
+        /** received print data */
+        data: Buffer;
+        /** rendered receipt */
+        svg: string;
+        /** saved file name */
+        file: string;
+    }
+    /**
+     * Virtual printer.
+     */
+    export interface PrintEmulator extends EventEmitter {
+        /** current status */
+        readonly status: EmulatorStatus;
+        /**
+         * Connect to the virtual printer.
+         * @returns {Duplex} connection to the printer
+         */
+        connect(): Duplex;
+        /**
+         * Listen on TCP port (pty and serial port are not supported).
+         * @param {number} [port] port (default: 9100)
+         * @param {string} [host] host (default: 127.0.0.1)
+         * @returns {Promise<AddressInfo>} bound address
+         */
+        listen(port?: number, host?: string): Promise<AddressInfo>;
+        /**
+         * Change printer status.
+         * @param {Partial<EmulatorStatus>} status printer status
+         */
+        set(status: Partial<EmulatorStatus>): void;
+        /**
+         * Stop the virtual printer.
+         */
+        close(): Promise<void>;
+        on(event: 'print', listener: (print: EmulatorPrint) => void): this;
+        on(event: 'status', listener: (status: EmulatorStatus) => void): this;
+        on(event: 'data', listener: (data: Buffer) => void): this;
+        on(event: 'error', listener: (error: Error) => void): this;
+    }
+    /**
+     * Create a virtual printer that responds like a receipt printer and renders received print data as SVG.
+     * @param {EmulatorOptions} [options] emulator options
+     * @returns {PrintEmulator} virtual printer
+     */
+    export function createEmulator(options?: EmulatorOptions): PrintEmulator;
+    /**
+     * Replay options.
+     */
+    export interface ReplayOptions {
+        /** cancel replay */
+        signal?: AbortSignal;
+        /** event emitter to report events of replayed jobs */
+        emitter?: EventEmitter;
+    }
+    /**
+     * Replayed job.
+     */
+    export interface ReplayResult {
+        /** job id */
+        id: string;
+        /** recorded result */
+        recorded: string;
+        /** replayed result */
+        replayed: PrintResult;
+    }
+    /**
+     * Replay print jobs recorded in a trace file by feeding the recorded printer responses back through the parser.
+     * @param {string} file trace file
+     * @param {ReplayOptions} [options] replay options
+     * @returns {Promise<ReplayResult[]>} results of replayed jobs
+     */
+    export function replay(file: string, options?: ReplayOptions): Promise<ReplayResult[]>;
+    /**
+     * Get the options of a printer profile in the configuration file.
+     * @param {string} name profile name
+     * @returns {PrintOptions | null} options object of the profile (null if not found)
+     */
+    export function getProfile(name: string): PrintOptions | null;
+    /**
+     * Close the shared headless browser after rasterization in progress, so that the process can exit.
+     * @returns {Promise<void>}
+     */
+    export function close(): Promise<void>;
 }
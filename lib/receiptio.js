@@ -15,9 +15,15 @@ limitations under the License.
 */
 
 const fs = require('fs/promises');
+const { readFileSync, statSync, createWriteStream } = require('fs');
+const os = require('os');
+const path = require('path');
+const dns = require('dns/promises');
 const net = require('net');
+const events = require('events');
 const stream = require('stream');
 const decoder = require('string_decoder');
+const zlib = require('zlib');
 const receiptline = require('receiptline');
 const iconv = require('iconv-lite');
 const PNG = require('pngjs').PNG;
@@ -45,360 +51,926 @@ catch (e) {
 
 /**
  * Print receipts, get printer status, or convert to print images.
- * @param {string} receiptmd receipt markdown text
- * @param {string} [options] options ([-d destination] [-p printer] [-q] [-c chars] [-u] [-v] [-r] [-s] [-n] [-i] [-b threshold] [-g gamma] [-t timeout] [-l language])
- * @returns {string} print result, printer status, or print image
+ * @param {string|object} receiptmd receipt markdown text, or receipt markdown text for each destination
+ * @param {string|object} [options] options ([-d destination] [-p printer] [-q] [-c chars] [-u] [-v] [-r] [-s] [-n] [-i] [-b threshold] [-g gamma] [-t timeout] [-l language]) or options object
+ * @param {stream.Duplex} [connection] connection to the printer instead of -d destination
+ * @returns {string|object} print result, printer status, or print image (or results for each destination)
  */
-const print = (receiptmd, options) => {
+const print = (receiptmd, options, connection) => {
+    // options
+    let params;
+    try {
+        params = parseOption(options);
+        convertOption(params, !!connection);
+    }
+    catch (e) {
+        // invalid options
+        return Promise.reject(e);
+    }
+    return dispatch(receiptmd, params, connection);
+};
 
-    return new Promise(async resolve => {
-        // options
-        const params = parseOption(options);
-        const printer = convertOption(params);
-        // print timeout
-        const t = Number(params.t);
-        const timeout = t >= 0 && t <= 3600 ? Math.trunc(t) : 300;
+const dispatch = (receiptmd, params, connection) => {
+    // multiple destinations
+    const jobs = connection ? null : destinations(receiptmd, params);
+    if (jobs) {
+        return fanout(jobs, params);
+    }
+    else if (params.f && params.d && !connection) {
+        return failover(receiptmd, params);
+    }
+    else {
+        return params.w && (params.d || connection) ? watch(params, connection) : execute(receiptmd, params, connection);
+    }
+};
+
+const failover = async (receiptmd, params) => {
+    // destination and backup printers
+    const list = [].concat(params.d, params.f);
+    const trigger = (params.x || 'offline,disconnect,coveropen,paperempty').split(',');
+    // report result only once
+    const emitter = params.emitter && { emit: (name, value) => name === 'result' || params.emitter.emit(name, value) };
+    const p = Object.assign({}, params, { w: false, detail: true, emitter: emitter });
+    // try in order
+    const attempts = [];
+    let detail;
+    for (const d of list) {
+        // banner line of rerouted receipt
+        const banner = attempts.length > 0 && params.banner ? `"${params.banner.replace(/\{destination\}/g, list[0]).replace(/[\\|{}\-=~_"`^]/g, '\\$&')}\n` : '';
+        detail = await execute(banner + receiptmd, Object.assign({}, p, { d: d }));
+        attempts.push({ destination: d, status: detail.status });
+        if (!trigger.includes(detail.status)) {
+            break;
+        }
+    }
+    detail.failover = attempts;
+    const res = params.detail ? detail : detail.status;
+    if (params.emitter) {
+        params.emitter.emit('result', res);
+    }
+    return res;
+};
+
+const destinations = (receiptmd, params) => {
+    // receipt markdown text for each destination
+    const variant = typeof receiptmd === 'object' && receiptmd !== null;
+    const list = variant && !params.d ? Object.keys(receiptmd) : [].concat(params.d || []);
+    const groups = params.groups || {};
+    if (!variant && list.length < 2 && !list.some(d => groups[d])) {
+        // single destination
+        return null;
+    }
+    // expand groups
+    const jobs = new Map();
+    for (const d of list) {
+        for (const dest of [].concat(groups[d] || d)) {
+            if (!jobs.has(dest)) {
+                jobs.set(dest, variant ? receiptmd[dest] !== undefined ? receiptmd[dest] : receiptmd[d] : receiptmd);
+            }
+        }
+    }
+    return jobs;
+};
+
+const fanout = async (jobs, params) => {
+    // receipt markdown text for each destination
+    for (const [ d, receiptmd ] of jobs) {
+        if (typeof receiptmd !== 'string') {
+            throw new TypeError(`Receipt markdown for "${d}" must be a string`);
+        }
+    }
+    // print in parallel
+    const controller = shareSignal(params.signal);
+    const p = Object.assign({}, params, { w: false, signal: controller.signal, emitter: null });
+    const res = await Promise.all(Array.from(jobs, ([ d, receiptmd ]) => execute(receiptmd, Object.assign({}, p, { d: d }))));
+    controller.unlink();
+    // results for each destination
+    const results = Object.fromEntries(Array.from(jobs.keys(), (d, i) => [ d, res[i] ]));
+    if (params.emitter) {
+        params.emitter.emit('result', results);
+    }
+    return results;
+};
+
+const shareSignal = signal => {
+    // abort signal shared by parallel jobs, linked to the signal of the caller
+    const controller = new AbortController();
+    events.setMaxListeners(0, controller.signal);
+    const abort = () => controller.abort();
+    if (signal) {
+        if (signal.aborted) {
+            abort();
+        }
+        else {
+            signal.addEventListener('abort', abort, { once: true });
+        }
+    }
+    controller.unlink = () => signal && signal.removeEventListener('abort', abort);
+    return controller;
+};
+
+const execute = (receiptmd, params, connection) => {
+    // options
+    const printer = convertOption(params, !!connection);
+    // trace
+    const tracer = params.trace && (params.d || connection) ? record(params.trace, receiptmd, params) : null;
+    if (tracer) {
+        params = Object.assign({}, params, { emitter: tracer });
+    }
+
+    return new Promise(async (resolve, reject) => {
         // destination
         const dest = params.d;
         // state
         let state = 0;
         // connection
         let conn;
+        // detailed result
+        const detail = {
+            status: '',
+            destination: dest,
+            mode: '',
+            protocol: '',
+            manufacturer: '',
+            model: '',
+            bytes: 0,
+            time: { connect: 0, detect: 0, print: 0, total: 0, drawer: 0 },
+            deviceStatus: null,
+            info: null
+        };
+        // start time
+        const begin = Date.now();
+        // close and resolve
+        const close = res => {
+            if (state < 2) {
+                if (conn && params.session && !/^(offline|disconnect|timeout|canceled)$/.test(res)) {
+                    // keep port for session
+                    params.session.conn = conn;
+                }
+                else if (conn) {
+                    // close port
+                    conn.destroy();
+                    if (conn.isOpen) {
+                        // serial
+                        conn.close();
+                    }
+                }
+                // abort event
+                if (params.signal) {
+                    params.signal.removeEventListener('abort', cancel);
+                }
+                // closed
+                state = 2;
+                // result
+                detail.status = res;
+                detail.time.total = Date.now() - begin;
+                emit('state', 'close');
+                if (!params.w) {
+                    emit('result', params.detail ? detail : res);
+                }
+                // end of trace
+                if (tracer) {
+                    tracer.close(detail);
+                }
+                // resolve with value
+                resolve(params.detail ? detail : res);
+            }
+        };
+        // cancel
+        const cancel = () => close('canceled');
+        // emit event
+        const emit = (name, value) => {
+            if (params.emitter && (dest || connection)) {
+                params.emitter.emit(name, value);
+            }
+        };
+        // abort event
+        if (params.signal) {
+            params.signal.addEventListener('abort', cancel);
+        }
+        // start
+        const start = async () => {
+            if (state > 1) {
+                // canceled
+                return;
+            }
+            // opened
+            state = 1;
+            // connected
+            detail.time.connect = Date.now() - begin;
+            if (tracer) {
+                tracer.attach(conn);
+            }
+            emit('state', 'connect');
+            // communicate with printer
+            close(await (params.w ? monitor : params.a ? waitDrawer : params.q ? inquire : communicate)(conn, receiptmd, params, printer, detail));
+        };
+
+        // network address
+        const addr = parseAddress(dest);
+        // serial port
+        const serial = !connection && !(addr && addr.explicit) && await isSerialPort(dest);
+        // open port
+        if (state > 1 || params.signal && params.signal.aborted) {
+            // canceled
+            close('canceled');
+        }
+        else if (connection) {
+            // duplex stream
+            if (tracer) {
+                tracer.attach(connection);
+            }
+            emit('state', 'connect');
+            close(await (params.w ? monitor : params.a ? waitDrawer : params.q ? inquire : communicate)(connection, receiptmd, params, printer, detail));
+        }
+        else if (addr && !serial) {
+            try {
+                // resolve host name
+                const host = net.isIP(addr.host) ? addr.host : (await dns.lookup(addr.host)).address;
+                if (state > 1) {
+                    // canceled
+                    return;
+                }
+                // net
+                conn = net.connect(addr.port, host);
+                // connect event
+                conn.on('connect', start);
+                // error event
+                conn.on('error', err => {
+                    // disconnect
+                    close('disconnect');
+                });
+            }
+            catch (e) {
+                // name resolution failure
+                close('disconnect');
+            }
+        }
+        else if (serial) {
+            // serial
+            const parity = { n: 'none', e: 'even', o: 'odd' };
+            const dev = /^([^:]*)(:((?:24|48|96|192|384|576|1152)00),?([neo]),?([78]),?([12]),?([nrx]?)$)?/i.exec(dest);
+            const opt = { baudRate: 115200 };
+            if (dev[2]) {
+                opt.baudRate = Number(dev[3]);
+                opt.parity = parity[dev[4].toLowerCase()];
+                opt.dataBits = Number(dev[5]);
+                opt.stopBits = Number(dev[6]);
+                opt.rtscts = /r/i.test(dev[7]);
+                opt.xon = opt.xoff = /x/i.test(dev[7]);
+            }
+            if ('SerialPort' in serialport) {
+                opt.path = dev[1];
+                conn = new serialport.SerialPort(opt);
+            }
+            else {
+                conn = new serialport(dev[1], opt);
+            }
+            // open event
+            conn.on('open', start);
+            // error event
+            conn.on('error', err => {
+                // disconnect
+                close('disconnect');
+            });
+        }
+        else if (/^\/dev\/usb\/lp/.test(dest)) {
+            try {
+                // device node
+                const handle = await fs.open(dest, 'r+');
+                if (state > 1) {
+                    // canceled
+                    await handle.close();
+                    return;
+                }
+                // read
+                const rid = setInterval(async () => {
+                    const { bytesRead, buffer } = await handle.read();
+                    if (bytesRead > 0) {
+                        conn.emit('data', buffer.subarray(0, bytesRead));
+                    }
+                }, 100);
+                handle.on('close', () => clearInterval(rid));
+                // write
+                conn = handle.createWriteStream();
+                // error event
+                conn.on('error', err => {
+                    // disconnect
+                    close('disconnect');
+                });
+                setImmediate(start);
+            }
+            catch (e) {
+                close('disconnect');
+            }
+        }
+        else if (dest) {
+            // disconnect
+            close('disconnect');
+        }
+        else {
+            // transform
+            try {
+                resolve(await transform(receiptmd, printer));
+            }
+            catch (e) {
+                // conversion error
+                if (params.signal) {
+                    params.signal.removeEventListener('abort', cancel);
+                }
+                reject(e);
+            }
+        }
+    });
+};
+
+// trace sequence number
+let traces = 0;
+
+const record = (file, receiptmd, params) => {
+    // trace file (tracing never fails the job)
+    const out = createWriteStream(file, { flags: 'a' });
+    out.on('error', () => {});
+    // job id and start time
+    const id = `${process.pid}.${++traces}`;
+    const begin = Date.now();
+    // write trace record
+    const write = entry => out.write(JSON.stringify(Object.assign({ id: id, t: Date.now() - begin }, entry)) + '\n');
+    // recorded parameters
+    const p = Object.fromEntries(Object.entries(params).filter(([ key ]) => !/^(signal|emitter|session|change)$/.test(key)));
+    write({ type: 'open', time: new Date(begin).toISOString(), receiptmd: receiptmd, params: p });
+    // traced connection
+    let conn = null;
+    let send = null;
+    const read = chunk => write({ type: 'read', data: Buffer.from(chunk).toString('hex') });
+    return {
+        // events from state machine
+        emit: (name, value) => {
+            if (name !== 'progress' && name !== 'result') {
+                write({ type: 'event', name: name, value: value });
+            }
+            if (params.emitter) {
+                params.emitter.emit(name, value);
+            }
+        },
+        // start tracing connection
+        attach: c => {
+            if (conn) {
+                return;
+            }
+            conn = c;
+            send = c.write;
+            c.write = function (chunk, encoding) {
+                write({ type: 'write', data: Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8').toString('hex') });
+                return send.apply(this, arguments);
+            };
+            c.prependListener('data', read);
+        },
+        // stop tracing
+        close: detail => {
+            if (conn) {
+                // restore connection kept for session
+                conn.write = send;
+                conn.removeListener('data', read);
+                conn = null;
+            }
+            write({ type: 'close', result: detail });
+            out.end();
+        }
+    };
+};
+
+const communicate = (conn, receiptmd, params, printer, detail) => {
+
+    return new Promise(resolve => {
+        // print timeout
+        const t = Number(params.t);
+        const timeout = t >= 0 && t <= 3600 ? Math.trunc(t) : 300;
+        // state
+        let state = 0;
         // timer
         let tid = 0;
         let iid = 0;
+        // start time
+        const begin = Date.now();
+        let printing = 0;
         // close and resolve
         const close = res => {
             if (state > 0) {
-                // close port
-                conn.destroy();
-                if (conn.isOpen) {
-                    // serial
-                    conn.close();
+                // remove listeners
+                conn.off('drain', ondrain);
+                conn.off('data', ondata);
+                conn.off('error', onerror);
+                if (params.signal) {
+                    params.signal.removeEventListener('abort', onabort);
                 }
                 // clear timer
                 clearTimeout(tid);
                 clearInterval(iid);
                 // closed
                 state = 0;
+                // detected printer
+                detail.mode = mode;
+                if (typeof printer.command === 'string') {
+                    detail.protocol = printer.command;
+                }
+                // elapsed time
+                const end = Date.now();
+                detail.time.detect = (printing || end) - begin;
+                detail.time.print = printing ? end - printing : 0;
             }
             // resolve with value
             resolve(res);
         };
-        // start
-        const start = () => {
-            // opened
-            state = 1;
-            // drain
-            let drain = true;
-            // drain event
-            conn.on('drain', () => {
-                // write buffer is empty
-                drain = true;
-            });
-            // receive buffer
-            let buf = Buffer.alloc(0);
-            // mode
-            let mode = '';
-            // data event
-            conn.on('data', async data => {
-                // append data
-                buf = Buffer.concat([buf, data]);
-                // parse response
-                let len;
-                do {
-                    len = buf.length;
-                    // auto detection
-                    if (mode === '') {
-                        if ((buf[0] & 0xf0) === 0xb0) {
-                            // sii: initialized response
-                            // printer control language
-                            mode = 'sii';
-                            printer.command = 'sii';
-                        }
-                        else if ((buf[0] & 0x91) === 0x01) {
-                            // star: automatic status
-                            if (len > 1) {
-                                const l = ((buf[0] >> 2 & 0x18) | (buf[0] >> 1 & 0x07)) + (buf[1] >> 6 & 0x02);
-                                // check length
-                                if (l <= len) {
-                                    // printer control language
-                                    mode = 'star';
-                                    printer.command = `star${/^(ja|ko|zh)/.test(params.l) ? 'm' : 's'}bcs${/^(ko|zh)/.test(params.l) ? '2' : ''}`;
-                                }
-                            }
-                        }
-                        else if ((buf[0] & 0x93) === 0x12) {
-                            // escpos: realtime status
-                            // printer control language
-                            mode = 'generic';
-                            printer.command = 'generic';
-                        }
-                        else if ((buf[0] & 0x93) === 0x10) {
-                            // escpos: automatic status
-                            if (len > 3 && (buf[1] & 0x90) === 0 && (buf[2] & 0x90) === 0 && (buf[3] & 0x90) === 0) {
-                                buf = buf.subarray(4);
-                            }
-                        }
-                        else if (buf[0] === 0x35 || buf[0] === 0x37 || buf[0] === 0x3b || buf[0] === 0x3d || buf[0] === 0x5f) {
-                            // escpos: block data
-                            const i = buf.indexOf(0);
+        // emit event
+        const emit = (name, value) => {
+            if (params.emitter) {
+                params.emitter.emit(name, value);
+            }
+        };
+        // progress event
+        const progress = () => emit('progress', { written: detail.bytes, drained: detail.bytes - (conn.writableLength || 0) });
+        // write data
+        const write = data => {
+            detail.bytes += data.length;
+            const ret = conn.write(data, 'binary');
+            progress();
+            return ret;
+        };
+        // convert receiptline to command
+        const command = async () => {
+            // printing
+            detail.protocol = printer.command;
+            printing = Date.now();
+            emit('state', 'print');
+            try {
+                return await (params.k ? kick(params.k, printer.command) : transform(receiptmd, printer));
+            }
+            catch (e) {
+                // receipt cannot be converted
+                close('invalid');
+                return null;
+            }
+        };
+        // opened
+        state = 1;
+        emit('state', 'detect');
+        // drain
+        let drain = true;
+        // drain event
+        const ondrain = () => {
+            // write buffer is empty
+            drain = true;
+            progress();
+        };
+        // error event
+        const onerror = err => {
+            // disconnect
+            close('disconnect');
+        };
+        // abort event
+        const onabort = () => {
+            // canceled
+            close('canceled');
+        };
+        // receive buffer
+        let buf = Buffer.alloc(0);
+        // mode
+        let mode = '';
+        // data event
+        const ondata = async data => {
+            // append data
+            buf = Buffer.concat([buf, data]);
+            // parse response
+            let len;
+            do {
+                len = buf.length;
+                // auto detection
+                if (mode === '') {
+                    if ((buf[0] & 0xf0) === 0xb0) {
+                        // sii: initialized response
+                        // printer control language
+                        mode = 'sii';
+                        printer.command = 'sii';
+                    }
+                    else if ((buf[0] & 0x91) === 0x01) {
+                        // star: automatic status
+                        if (len > 1) {
+                            const l = ((buf[0] >> 2 & 0x18) | (buf[0] >> 1 & 0x07)) + (buf[1] >> 6 & 0x02);
                             // check length
-                            if (i > 0) {
-                                // clear data
-                                buf = buf.subarray(i + 1);
+                            if (l <= len) {
+                                // printer control language
+                                mode = 'star';
+                                printer.command = `star${/^(ja|ko|zh)/.test(params.l) ? 'm' : 's'}bcs${/^(ko|zh)/.test(params.l) ? '2' : ''}`;
                             }
                         }
-                        else {
-                            // other
-                            buf = buf.subarray(1);
+                    }
+                    else if ((buf[0] & 0x93) === 0x12) {
+                        // escpos: realtime status
+                        // printer control language
+                        mode = 'generic';
+                        printer.command = 'generic';
+                    }
+                    else if ((buf[0] & 0x93) === 0x10) {
+                        // escpos: automatic status
+                        if (len > 3 && (buf[1] & 0x90) === 0 && (buf[2] & 0x90) === 0 && (buf[3] & 0x90) === 0) {
+                            buf = buf.subarray(4);
                         }
                     }
-                    // process by mode
-                    switch (mode) {
-                        case 'escpos':
-                        case 'generic':
-                            switch (state) {
-                                case 1:
-                                    // parse realtime status
-                                    if ((buf[0] & 0x93) === 0x12) {
-                                        if (params.q === 'drawer') {
-                                            // cash drawer
-                                            close((buf[0] & 0x97) === 0x16 ? 'drawerclosed' : 'draweropen');
-                                        }
-                                        else if (params.q === 'drawer2') {
-                                            // cash drawer
-                                            close((buf[0] & 0x97) === 0x16 ? 'draweropen' : 'drawerclosed');
-                                        }
-                                        else if ((buf[0] & 0x97) === 0x16) {
-                                            // cover open
-                                            close('coveropen');
-                                        }
-                                        else if ((buf[0] & 0xb3) === 0x32) {
-                                            // paper empty
-                                            close('paperempty');
-                                        }
-                                        else if ((buf[0] & 0xd3) === 0x52) {
-                                            // clear timer
-                                            clearTimeout(tid);
-                                            clearInterval(iid);
-                                            // error
-                                            drain = conn.write('\x10\x05\x02', 'binary'); // DLE ENQ n
-                                            // set timer
-                                            tid = setTimeout(() => close('error'), 1000);
-                                        }
-                                        else if (params.q === 'printer') {
-                                            // online
-                                            close('online');
-                                        }
-                                        else if (mode === 'escpos') {
-                                            // clear buffer
-                                            buf = buf.subarray(len);
-                                            // clear timer
-                                            clearTimeout(tid);
-                                            clearInterval(iid);
-                                            // ready
-                                            state = 2;
-                                            // automatic status back
-                                            const asb = '\x1b@\x1da\xff'; // ESC @ GS a n
-                                            // enable automatic status
-                                            drain = conn.write(asb, 'binary');
+                    else if (buf[0] === 0x35 || buf[0] === 0x37 || buf[0] === 0x3b || buf[0] === 0x3d || buf[0] === 0x5f) {
+                        // escpos: block data
+                        const i = buf.indexOf(0);
+                        // check length
+                        if (i > 0) {
+                            // clear data
+                            buf = buf.subarray(i + 1);
+                        }
+                    }
+                    else {
+                        // other
+                        buf = buf.subarray(1);
+                    }
+                }
+                // process by mode
+                switch (mode) {
+                    case 'escpos':
+                    case 'generic':
+                        switch (state) {
+                            case 1:
+                                // parse realtime status
+                                if ((buf[0] & 0x93) === 0x12) {
+                                    if (params.q === 'drawer') {
+                                        // cash drawer
+                                        close((buf[0] & 0x97) === 0x16 ? 'drawerclosed' : 'draweropen');
+                                    }
+                                    else if (params.q === 'drawer2') {
+                                        // cash drawer
+                                        close((buf[0] & 0x97) === 0x16 ? 'draweropen' : 'drawerclosed');
+                                    }
+                                    else if ((buf[0] & 0x97) === 0x16) {
+                                        // cover open
+                                        close('coveropen');
+                                    }
+                                    else if ((buf[0] & 0xb3) === 0x32) {
+                                        // paper empty
+                                        close('paperempty');
+                                    }
+                                    else if ((buf[0] & 0xd3) === 0x52) {
+                                        // clear timer
+                                        clearTimeout(tid);
+                                        clearInterval(iid);
+                                        // error
+                                        drain = write('\x10\x05\x02'); // DLE ENQ n
+                                        // set timer
+                                        tid = setTimeout(() => close('error'), 1000);
+                                    }
+                                    else if (params.q === 'printer') {
+                                        // online
+                                        close('online');
+                                    }
+                                    else if (mode === 'escpos') {
+                                        // clear buffer
+                                        buf = buf.subarray(len);
+                                        // clear timer
+                                        clearTimeout(tid);
+                                        clearInterval(iid);
+                                        // ready
+                                        state = 2;
+                                        emit('state', 'ready');
+                                        // automatic status back
+                                        const asb = '\x1b@\x1da\xff'; // ESC @ GS a n
+                                        // enable automatic status
+                                        drain = write(asb);
+                                        // set timer
+                                        tid = setTimeout(() => {
+                                            // no automatic status back
+                                            const recover = '\x00'.repeat(8192) + asb;
+                                            // flush out interrupted commands
+                                            iid = setInterval(() => {
+                                                // if drain
+                                                if (drain) {
+                                                    // retry to enable
+                                                    drain = write(recover);
+                                                }
+                                            }, 1000);
                                             // set timer
-                                            tid = setTimeout(() => {
-                                                // no automatic status back
-                                                const recover = '\x00'.repeat(8192) + asb;
-                                                // flush out interrupted commands
-                                                iid = setInterval(() => {
-                                                    // if drain
-                                                    if (drain) {
-                                                        // retry to enable
-                                                        drain = conn.write(recover, 'binary');
-                                                    }
-                                                }, 1000);
-                                                // set timer
-                                                tid = setTimeout(() => close('offline'), 10000);
-                                            }, 2000);
-                                        }
-                                        else {
-                                            // get model info
-                                            drain = conn.write('\x1dI\x42\x1dI\x43', 'binary'); // GS I n GS I n
-                                            // clear data
-                                            buf = buf.subarray(1);
-                                        }
+                                            tid = setTimeout(() => close('offline'), 10000);
+                                        }, 2000);
                                     }
-                                    else if ((buf[0] & 0x93) === 0x10) {
-                                        // automatic status
-                                        if (len > 3 && (buf[1] & 0x90) === 0 && (buf[2] & 0x90) === 0 && (buf[3] & 0x90) === 0) {
-                                            buf = buf.subarray(4);
-                                        }
+                                    else {
+                                        // get model info
+                                        drain = write('\x1dI\x42\x1dI\x43'); // GS I n GS I n
+                                        // clear data
+                                        buf = buf.subarray(1);
                                     }
-                                    else if (buf[0] === 0x35 || buf[0] === 0x37 || buf[0] === 0x3b || buf[0] === 0x3d || buf[0] === 0x5f) {
-                                        // block data
-                                        const i = buf.indexOf(0);
-                                        // check length
-                                        if (i > 0) {
-                                            // clear data
-                                            const block = buf.subarray(0, i + 1);
-                                            buf = buf.subarray(i + 1);
-                                            if (block[0] === 0x5f) {
-                                                // model info
-                                                const model = block.subarray(1, block.length - 1).reduce((a, c) => a + String.fromCharCode(c), '').toLowerCase();
-                                                if (printer.command === 'generic') {
-                                                    if (/^(epson|citizen|fit)$/.test(model)) {
-                                                        // escpos thermal
-                                                        printer.command = model;
-                                                    }
-                                                    if (model !== 'epson') {
-                                                        mode = 'escpos';
-                                                    }
+                                }
+                                else if ((buf[0] & 0x93) === 0x10) {
+                                    // automatic status
+                                    if (len > 3 && (buf[1] & 0x90) === 0 && (buf[2] & 0x90) === 0 && (buf[3] & 0x90) === 0) {
+                                        buf = buf.subarray(4);
+                                    }
+                                }
+                                else if (buf[0] === 0x35 || buf[0] === 0x37 || buf[0] === 0x3b || buf[0] === 0x3d || buf[0] === 0x5f) {
+                                    // block data
+                                    const i = buf.indexOf(0);
+                                    // check length
+                                    if (i > 0) {
+                                        // clear data
+                                        const block = buf.subarray(0, i + 1);
+                                        buf = buf.subarray(i + 1);
+                                        if (block[0] === 0x5f) {
+                                            // model info
+                                            const info = block.subarray(1, block.length - 1).reduce((a, c) => a + String.fromCharCode(c), '');
+                                            const model = info.toLowerCase();
+                                            // manufacturer and model name
+                                            if (detail.manufacturer) {
+                                                detail.model = info;
+                                            }
+                                            else {
+                                                detail.manufacturer = info;
+                                            }
+                                            // model event
+                                            emit('model', { manufacturer: detail.manufacturer, model: detail.model });
+                                            if (printer.command === 'generic') {
+                                                if (/^(epson|citizen|fit)$/.test(model)) {
+                                                    // escpos thermal
+                                                    printer.command = model;
                                                 }
-                                                else if (printer.command === 'epson') {
-                                                    if (/^tm-u/.test(model)) {
-                                                        // escpos impact
-                                                        printer.command = 'impactb';
-                                                    }
+                                                if (model !== 'epson') {
                                                     mode = 'escpos';
                                                 }
-                                                else {
-                                                    // nothing to do
+                                            }
+                                            else if (printer.command === 'epson') {
+                                                if (/^tm-u/.test(model)) {
+                                                    // escpos impact
+                                                    printer.command = 'impactb';
                                                 }
-                                                if (mode === 'escpos') {
-                                                    // clear buffer
-                                                    buf = buf.subarray(len);
-                                                    // clear timer
-                                                    clearTimeout(tid);
-                                                    clearInterval(iid);
-                                                    // ready
-                                                    state = 2;
-                                                    // automatic status back
-                                                    const asb = '\x1b@\x1da\xff'; // ESC @ GS a n
-                                                    // enable automatic status
-                                                    drain = conn.write(asb, 'binary');
+                                                mode = 'escpos';
+                                            }
+                                            else {
+                                                // nothing to do
+                                            }
+                                            if (mode === 'escpos') {
+                                                // clear buffer
+                                                buf = buf.subarray(len);
+                                                // clear timer
+                                                clearTimeout(tid);
+                                                clearInterval(iid);
+                                                // ready
+                                                state = 2;
+                                                emit('state', 'ready');
+                                                // automatic status back
+                                                const asb = '\x1b@\x1da\xff'; // ESC @ GS a n
+                                                // enable automatic status
+                                                drain = write(asb);
+                                                // set timer
+                                                tid = setTimeout(() => {
+                                                    // no automatic status back
+                                                    const recover = '\x00'.repeat(8192) + asb;
+                                                    // flush out interrupted commands
+                                                    iid = setInterval(() => {
+                                                        // if drain
+                                                        if (drain) {
+                                                            // retry to enable
+                                                            drain = write(recover);
+                                                        }
+                                                    }, 1000);
                                                     // set timer
-                                                    tid = setTimeout(() => {
-                                                        // no automatic status back
-                                                        const recover = '\x00'.repeat(8192) + asb;
-                                                        // flush out interrupted commands
-                                                        iid = setInterval(() => {
-                                                            // if drain
-                                                            if (drain) {
-                                                                // retry to enable
-                                                                drain = conn.write(recover, 'binary');
-                                                            }
-                                                        }, 1000);
-                                                        // set timer
-                                                        tid = setTimeout(() => close('offline'), 10000);
-                                                    }, 2000);
-                                                }
+                                                    tid = setTimeout(() => close('offline'), 10000);
+                                                }, 2000);
                                             }
                                         }
                                     }
+                                }
+                                else {
+                                    // other
+                                    buf = buf.subarray(1);
+                                }
+                                break;
+
+                            case 2:
+                            case 3:
+                                // check response type
+                                if (buf[0] === 0x35 || buf[0] === 0x37 || buf[0] === 0x3b || buf[0] === 0x3d || buf[0] === 0x5f) {
+                                    // block data
+                                    const i = buf.indexOf(0);
+                                    if (i > 0) {
+                                        buf = buf.subarray(i + 1);
+                                    }
+                                }
+                                else if ((buf[0] & 0x90) === 0) {
+                                    // status
+                                    if (state === 3 && drain) {
+                                        // success
+                                        close('success');
+                                    }
                                     else {
                                         // other
                                         buf = buf.subarray(1);
                                     }
-                                    break;
-
-                                case 2:
-                                case 3:
-                                    // check response type
-                                    if (buf[0] === 0x35 || buf[0] === 0x37 || buf[0] === 0x3b || buf[0] === 0x3d || buf[0] === 0x5f) {
-                                        // block data
-                                        const i = buf.indexOf(0);
-                                        if (i > 0) {
-                                            buf = buf.subarray(i + 1);
+                                }
+                                else if ((buf[0] & 0x93) === 0x10) {
+                                    // automatic status
+                                    if (len > 3) {
+                                        if ((buf[1] & 0x90) === 0 && (buf[2] & 0x90) === 0 && (buf[3] & 0x90) === 0) {
+                                            // status event
+                                            detail.deviceStatus = decodeStatus.escpos(buf);
+                                            emit('status', detail.deviceStatus);
+                                            if ((buf[0] & 0x20) === 0x20) {
+                                                // cover open
+                                                close('coveropen');
+                                            }
+                                            else if ((buf[2] & 0x0c) === 0x0c) {
+                                                // paper empty
+                                                close('paperempty');
+                                            }
+                                            else if ((buf[1] & 0x2c) !== 0) {
+                                                // error
+                                                close('error');
+                                            }
+                                            else {
+                                                // normal
+                                                buf = buf.subarray(4);
+                                                // ready to print
+                                                if (state === 2) {
+                                                    // clear timer
+                                                    clearTimeout(tid);
+                                                    clearInterval(iid);
+                                                    // printing
+                                                    state = 3;
+                                                    // write command
+                                                    const cmd = await command();
+                                                    if (cmd === null) {
+                                                        return;
+                                                    }
+                                                    drain = write(cmd.replace(/^\x1b@\x1da\x00/, ''));
+                                                    // set timer
+                                                    tid = setTimeout(() => close('timeout'), timeout * 1000);
+                                                }
+                                            }
                                         }
                                     }
-                                    else if ((buf[0] & 0x90) === 0) {
-                                        // status
-                                        if (state === 3 && drain) {
-                                            // success
-                                            close('success');
+                                }
+                                else {
+                                    // other
+                                    buf = buf.subarray(1);
+                                }
+                                break;
+
+                            default:
+                                break;
+                        }
+                        break;
+
+                    case 'sii':
+                        switch (state) {
+                            case 1:
+                                // clear buffer
+                                buf = buf.subarray(len);
+                                // ready
+                                state = 2;
+                                emit('state', 'ready');
+                                // enable automatic status
+                                drain = write('\x1da\xff'); // GS a n
+                                break;
+
+                            case 2:
+                                // check response type
+                                if ((buf[0] & 0xf0) === 0xc0) {
+                                    // automatic status
+                                    if (len > 7) {
+                                        // status event
+                                        detail.deviceStatus = decodeStatus.sii(buf);
+                                        emit('status', detail.deviceStatus);
+                                        if (params.q === 'drawer') {
+                                            // cash drawer
+                                            close((buf[3] & 0xf8) === 0xd8 ? 'drawerclosed' : 'draweropen');
                                         }
-                                        else {
-                                            // other
-                                            buf = buf.subarray(1);
+                                        else if (params.q === 'drawer2') {
+                                            // cash drawer
+                                            close((buf[3] & 0xf8) === 0xd8 ? 'draweropen' : 'drawerclosed');
                                         }
-                                    }
-                                    else if ((buf[0] & 0x93) === 0x10) {
-                                        // automatic status
-                                        if (len > 3) {
-                                            if ((buf[1] & 0x90) === 0 && (buf[2] & 0x90) === 0 && (buf[3] & 0x90) === 0) {
-                                                if ((buf[0] & 0x20) === 0x20) {
-                                                    // cover open
-                                                    close('coveropen');
-                                                }
-                                                else if ((buf[2] & 0x0c) === 0x0c) {
-                                                    // paper empty
-                                                    close('paperempty');
-                                                }
-                                                else if ((buf[1] & 0x2c) !== 0) {
-                                                    // error
-                                                    close('error');
-                                                }
-                                                else {
-                                                    // normal
-                                                    buf = buf.subarray(4);
-                                                    // ready to print
-                                                    if (state === 2) {
-                                                        // clear timer
-                                                        clearTimeout(tid);
-                                                        clearInterval(iid);
-                                                        // printing
-                                                        state = 3;
-                                                        // write command
-                                                        drain = conn.write((await transform(receiptmd, printer)).replace(/^\x1b@\x1da\x00/, ''), 'binary');
-                                                        // set timer
-                                                        tid = setTimeout(() => close('timeout'), timeout * 1000);
-                                                    }
-                                                }
+                                        else if ((buf[1] & 0xf8) === 0xd8) {
+                                            // cover open
+                                            close('coveropen');
+                                        }
+                                        else if ((buf[1] & 0xf1) === 0xd1) {
+                                            // paper empty
+                                            close('paperempty');
+                                        }
+                                        else if ((buf[0] & 0x0b) !== 0) {
+                                            // error
+                                            close('error');
+                                        }
+                                        else if (params.q === 'printer') {
+                                            // online
+                                            close('online');
+                                        }
+                                        else {
+                                            // normal
+                                            buf = buf.subarray(8);
+                                            // clear timer
+                                            clearTimeout(tid);
+                                            clearInterval(iid);
+                                            // printing
+                                            state = 3;
+                                            // write command
+                                            const cmd = await command();
+                                            if (cmd === null) {
+                                                return;
                                             }
+                                            drain = write(cmd.replace(/^\x1b@\x1da\x00/, ''));
+                                            // set timer
+                                            tid = setTimeout(() => close('timeout'), timeout * 1000);
                                         }
                                     }
+                                }
+                                else {
+                                    // other
+                                    buf = buf.subarray(1);
+                                }
+                                break;
+
+                            case 3:
+                                // check response type
+                                if ((buf[0] & 0xf0) === 0x80) {
+                                    // status
+                                    if (drain) {
+                                        // success
+                                        close('success');
+                                    }
                                     else {
                                         // other
                                         buf = buf.subarray(1);
                                     }
                                     break;
+                                }
+                                else if ((buf[0] & 0xf0) === 0xc0) {
+                                    // automatic status
+                                    if (len > 7) {
+                                        // status event
+                                        detail.deviceStatus = decodeStatus.sii(buf);
+                                        emit('status', detail.deviceStatus);
+                                        if ((buf[1] & 0xf8) === 0xd8) {
+                                            // cover open
+                                            close('coveropen');
+                                        }
+                                        else if ((buf[1] & 0xf1) === 0xd1) {
+                                            // paper empty
+                                            close('paperempty');
+                                        }
+                                        else if ((buf[0] & 0x0b) !== 0) {
+                                            // error
+                                            close('error');
+                                        }
+                                        else {
+                                            // normal
+                                            buf = buf.subarray(8);
+                                        }
+                                    }
+                                }
+                                else {
+                                    // other
+                                    buf = buf.subarray(1);
+                                }
+                                break;
 
-                                default:
-                                    break;
-                            }
-                            break;
-
-                        case 'sii':
-                            switch (state) {
-                                case 1:
-                                    // clear buffer
-                                    buf = buf.subarray(len);
-                                    // ready
-                                    state = 2;
-                                    // enable automatic status
-                                    drain = conn.write('\x1da\xff', 'binary'); // GS a n
-                                    break;
+                            default:
+                                break;
+                        }
+                        break;
 
-                                case 2:
-                                    // check response type
-                                    if ((buf[0] & 0xf0) === 0xc0) {
-                                        // automatic status
-                                        if (len > 7) {
+                    case 'star':
+                        switch (state) {
+                            case 1:
+                                // parse realtime status
+                                if ((buf[0] & 0x91) === 0x01) {
+                                    // calculate length
+                                    if (len > 1) {
+                                        const l = ((buf[0] >> 2 & 0x18) | (buf[0] >> 1 & 0x07)) + (buf[1] >> 6 & 0x02);
+                                        // check length
+                                        if (l <= len) {
+                                            // status event
+                                            detail.deviceStatus = decodeStatus.star(buf);
+                                            emit('status', detail.deviceStatus);
+                                            // realtime status
                                             if (params.q === 'drawer') {
                                                 // cash drawer
-                                                close((buf[3] & 0xf8) === 0xd8 ? 'drawerclosed' : 'draweropen');
+                                                close((buf[2] & 0x04) === 0x04 ? 'draweropen' : 'drawerclosed');
                                             }
                                             else if (params.q === 'drawer2') {
                                                 // cash drawer
-                                                close((buf[3] & 0xf8) === 0xd8 ? 'draweropen' : 'drawerclosed');
+                                                close((buf[2] & 0x04) === 0x04 ? 'drawerclosed' : 'draweropen');
                                             }
-                                            else if ((buf[1] & 0xf8) === 0xd8) {
+                                            else if ((buf[2] & 0x20) === 0x20) {
                                                 // cover open
                                                 close('coveropen');
                                             }
-                                            else if ((buf[1] & 0xf1) === 0xd1) {
+                                            else if ((buf[5] & 0x08) === 0x08) {
                                                 // paper empty
                                                 close('paperempty');
                                             }
-                                            else if ((buf[0] & 0x0b) !== 0) {
+                                            else if ((buf[3] & 0x2c) !== 0 || (buf[4] & 0x0a) !== 0) {
                                                 // error
                                                 close('error');
                                             }
@@ -407,330 +979,604 @@ const print = (receiptmd, options) => {
                                                 close('online');
                                             }
                                             else {
-                                                // normal
-                                                buf = buf.subarray(8);
+                                                // clear buffer
+                                                buf = buf.subarray(len);
                                                 // clear timer
                                                 clearTimeout(tid);
                                                 clearInterval(iid);
-                                                // printing
-                                                state = 3;
+                                                // ready
+                                                state = 2;
+                                                emit('state', 'ready');
                                                 // write command
-                                                drain = conn.write((await transform(receiptmd, printer)).replace(/^\x1b@\x1da\x00/, ''), 'binary');
+                                                const cmd = await command();
+                                                if (cmd === null) {
+                                                    return;
+                                                }
+                                                drain = write(cmd
+                                                    .replace(/^(\x1b@)?\x1b\x1ea\x00/, '$1\x1b\x1ea\x01\x17')  // (ESC @) ESC RS a n ETB
+                                                    .replace(/(\x1b\x1d\x03\x01\x00\x00\x04?|\x1b\x06\x01)$/, '\x17')); // ETB
                                                 // set timer
                                                 tid = setTimeout(() => close('timeout'), timeout * 1000);
                                             }
                                         }
                                     }
-                                    else {
-                                        // other
-                                        buf = buf.subarray(1);
-                                    }
-                                    break;
+                                }
+                                break;
 
-                                case 3:
-                                    // check response type
-                                    if ((buf[0] & 0xf0) === 0x80) {
-                                        // status
-                                        if (drain) {
+                            case 2:
+                            case 3:
+                                // check response type
+                                if ((buf[0] & 0xf1) === 0x21) {
+                                    // calculate length
+                                    const l = ((buf[0] >> 2 & 0x08) | (buf[0] >> 1 & 0x07)) + (buf[1] >> 6 & 0x02);
+                                    // check length
+                                    if (l <= len) {
+                                        // status event
+                                        detail.deviceStatus = decodeStatus.star(buf);
+                                        emit('status', detail.deviceStatus);
+                                        // automatic status
+                                        if ((buf[2] & 0x20) === 0x20) {
+                                            // cover open
+                                            close('coveropen');
+                                        }
+                                        else if ((buf[5] & 0x08) === 0x08) {
+                                            // paper empty
+                                            close('paperempty');
+                                        }
+                                        else if ((buf[3] & 0x2c) !== 0 || (buf[4] & 0x0a) !== 0) {
+                                            // error
+                                            close('error');
+                                        }
+                                        else if (state === 3 && drain) {
                                             // success
                                             close('success');
                                         }
                                         else {
-                                            // other
-                                            buf = buf.subarray(1);
-                                        }
-                                        break;
-                                    }
-                                    else if ((buf[0] & 0xf0) === 0xc0) {
-                                        // automatic status
-                                        if (len > 7) {
-                                            if ((buf[1] & 0xf8) === 0xd8) {
-                                                // cover open
-                                                close('coveropen');
-                                            }
-                                            else if ((buf[1] & 0xf1) === 0xd1) {
-                                                // paper empty
-                                                close('paperempty');
-                                            }
-                                            else if ((buf[0] & 0x0b) !== 0) {
-                                                // error
-                                                close('error');
-                                            }
-                                            else {
-                                                // normal
-                                                buf = buf.subarray(8);
-                                            }
-                                        }
-                                    }
-                                    else {
-                                        // other
-                                        buf = buf.subarray(1);
-                                    }
-                                    break;
-
-                                default:
-                                    break;
-                            }
-                            break;
-
-                        case 'star':
-                            switch (state) {
-                                case 1:
-                                    // parse realtime status
-                                    if ((buf[0] & 0x91) === 0x01) {
-                                        // calculate length
-                                        if (len > 1) {
-                                            const l = ((buf[0] >> 2 & 0x18) | (buf[0] >> 1 & 0x07)) + (buf[1] >> 6 & 0x02);
-                                            // check length
-                                            if (l <= len) {
-                                                // realtime status
-                                                if (params.q === 'drawer') {
-                                                    // cash drawer
-                                                    close((buf[2] & 0x04) === 0x04 ? 'draweropen' : 'drawerclosed');
-                                                }
-                                                else if (params.q === 'drawer2') {
-                                                    // cash drawer
-                                                    close((buf[2] & 0x04) === 0x04 ? 'drawerclosed' : 'draweropen');
-                                                }
-                                                else if ((buf[2] & 0x20) === 0x20) {
-                                                    // cover open
-                                                    close('coveropen');
-                                                }
-                                                else if ((buf[5] & 0x08) === 0x08) {
-                                                    // paper empty
-                                                    close('paperempty');
-                                                }
-                                                else if ((buf[3] & 0x2c) !== 0 || (buf[4] & 0x0a) !== 0) {
-                                                    // error
-                                                    close('error');
-                                                }
-                                                else if (params.q === 'printer') {
-                                                    // online
-                                                    close('online');
-                                                }
-                                                else {
-                                                    // clear buffer
-                                                    buf = buf.subarray(len);
-                                                    // clear timer
-                                                    clearTimeout(tid);
-                                                    clearInterval(iid);
-                                                    // ready
-                                                    state = 2;
-                                                    // write command
-                                                    drain = conn.write((await transform(receiptmd, printer))
-                                                        .replace(/^(\x1b@)?\x1b\x1ea\x00/, '$1\x1b\x1ea\x01\x17')  // (ESC @) ESC RS a n ETB
-                                                        .replace(/(\x1b\x1d\x03\x01\x00\x00\x04?|\x1b\x06\x01)$/, '\x17'), 'binary'); // ETB
-                                                    // set timer
-                                                    tid = setTimeout(() => close('timeout'), timeout * 1000);
-                                                }
-                                            }
+                                            // normal
+                                            buf = buf.subarray(l);
+                                            // printing
+                                            state = 3;
                                         }
                                     }
-                                    break;
+                                }
+                                else {
+                                    // other
+                                    buf = buf.subarray(1);
+                                }
+                                break;
 
-                                case 2:
-                                case 3:
-                                    // check response type
-                                    if ((buf[0] & 0xf1) === 0x21) {
-                                        // calculate length
-                                        const l = ((buf[0] >> 2 & 0x08) | (buf[0] >> 1 & 0x07)) + (buf[1] >> 6 & 0x02);
-                                        // check length
-                                        if (l <= len) {
-                                            // automatic status
-                                            if ((buf[2] & 0x20) === 0x20) {
-                                                // cover open
-                                                close('coveropen');
-                                            }
-                                            else if ((buf[5] & 0x08) === 0x08) {
-                                                // paper empty
-                                                close('paperempty');
-                                            }
-                                            else if ((buf[3] & 0x2c) !== 0 || (buf[4] & 0x0a) !== 0) {
-                                                // error
-                                                close('error');
-                                            }
-                                            else if (state === 3 && drain) {
-                                                // success
-                                                close('success');
-                                            }
-                                            else {
-                                                // normal
-                                                buf = buf.subarray(l);
-                                                // printing
-                                                state = 3;
-                                            }
-                                        }
-                                    }
-                                    else {
-                                        // other
-                                        buf = buf.subarray(1);
-                                    }
-                                    break;
+                            default:
+                                break;
+                        }
+                        break;
 
-                                default:
-                                    break;
-                            }
-                            break;
+                    default:
+                        break;
+                }
+            }
+            while (buf.length > 0 && buf.length < len);
+        };
+        // add listeners
+        conn.on('drain', ondrain);
+        conn.on('data', ondata);
+        conn.on('error', onerror);
+        if (params.signal) {
+            params.signal.addEventListener('abort', onabort);
+        }
 
-                        default:
-                            break;
-                    }
+        // select mode
+        let hello = '';
+        switch (printer.command) {
+            case '':
+                mode = ''; // auto detection
+                hello = '\x10\x04' + (/^drawer2?$/.test(params.q) ? '\x01': '\x02') + '\x1b\x06\x01\x1b@'; // DLE EOT n ESC ACK SOH ESC @
+                break;
+            case 'escpos':
+            case 'epson':
+            case 'citizen':
+            case 'fit':
+            case 'impact':
+            case 'impactb':
+            case 'generic':
+                mode = 'escpos'; // ESC/POS
+                hello = '\x10\x04' + (/^drawer2?$/.test(params.q) ? '\x01': '\x02') // DLE EOT n
+                break;
+            case 'sii':
+                mode = 'sii'; // ESC/POS SII
+                hello = '\x1b@'; // ESC @
+                break;
+            case 'starsbcs':
+            case 'starmbcs':
+            case 'starmbcs2':
+            case 'starlinesbcs':
+            case 'starlinembcs':
+            case 'starlinembcs2':
+            case 'emustarlinesbcs':
+            case 'emustarlinembcs':
+            case 'emustarlinembcs2':
+            case 'stargraphic':
+            case 'starimpact':
+            case 'starimpact2':
+            case 'starimpact3':
+                mode = 'star'; // StarPRNT, Star Line Mode, Star Graphic Mode, Star Mode on dot impact printers
+                hello = '\x1b\x06\x01'; // ESC ACK SOH
+                break;
+            default:
+                break;
+        }
+        // resume session with automatic status enabled
+        if (params.resume && (mode === 'escpos' || mode === 'sii')) {
+            // ready
+            state = 2;
+            emit('state', 'ready');
+            // status inquiry: GS a n
+            hello = '\x1da\xff';
+        }
+        // hello to printer
+        drain = write(hello);
+        // set timer
+        tid = setTimeout(() => {
+            // no hello back
+            const recover = '\x00'.repeat(8192) + hello;
+            // flush out interrupted commands
+            iid = setInterval(() => {
+                // if drain
+                if (drain) {
+                    // retry hello
+                    drain = write(recover);
                 }
-                while (buf.length > 0 && buf.length < len);
-            });
+            }, 1000);
+            // set timer
+            tid = setTimeout(() => close('offline'), 10000);
+        }, 2000);
+    });
+};
 
-            // select mode
-            let hello = '';
-            switch (printer.command) {
-                case '':
-                    mode = ''; // auto detection
-                    hello = '\x10\x04' + (/^drawer2?$/.test(params.q) ? '\x01': '\x02') + '\x1b\x06\x01\x1b@'; // DLE EOT n ESC ACK SOH ESC @
-                    break;
-                case 'escpos':
-                case 'epson':
-                case 'citizen':
-                case 'fit':
-                case 'impact':
-                case 'impactb':
-                case 'generic':
-                    mode = 'escpos'; // ESC/POS
-                    hello = '\x10\x04' + (/^drawer2?$/.test(params.q) ? '\x01': '\x02') // DLE EOT n
-                    break;
-                case 'sii':
-                    mode = 'sii'; // ESC/POS SII
-                    hello = '\x1b@'; // ESC @
-                    break;
-                case 'starsbcs':
-                case 'starmbcs':
-                case 'starmbcs2':
-                case 'starlinesbcs':
-                case 'starlinembcs':
-                case 'starlinembcs2':
-                case 'emustarlinesbcs':
-                case 'emustarlinembcs':
-                case 'emustarlinembcs2':
-                case 'stargraphic':
-                case 'starimpact':
-                case 'starimpact2':
-                case 'starimpact3':
-                    mode = 'star'; // StarPRNT, Star Line Mode, Star Graphic Mode, Star Mode on dot impact printers
-                    hello = '\x1b\x06\x01'; // ESC ACK SOH
-                    break;
-                default:
-                    break;
+const inquire = async (conn, receiptmd, params, printer, detail) => {
+    // inquire status
+    const res = await communicate(conn, receiptmd, Object.assign({}, params, { q: params.q === 'info' ? 'printer' : params.q }), printer, detail);
+    if (/^(online|coveropen|paperempty|error|drawer(closed|open))$/.test(res)) {
+        // escpos: realtime status
+        if (params.detail && /^(escpos|generic)$/.test(detail.mode)) {
+            detail.deviceStatus = await realtime(conn, params) || detail.deviceStatus;
+        }
+        // printer information (manufacturer and model only, if not identified before the status)
+        if (params.q === 'info' || params.detail && detail.protocol === 'generic') {
+            const info = await identify(conn, params, detail.mode, params.q !== 'info');
+            detail.info = params.q === 'info' ? info : detail.info;
+            detail.manufacturer = info.manufacturer || detail.manufacturer;
+            detail.model = info.model || detail.model;
+            // printer control language from manufacturer and model
+            const manufacturer = (detail.manufacturer || '').toLowerCase();
+            if (detail.protocol === 'generic' && /^(epson|citizen|fit)$/.test(manufacturer)) {
+                detail.mode = 'escpos';
+                detail.protocol = /^tm-u/i.test(detail.model) ? 'impactb' : manufacturer;
             }
-            // hello to printer
-            drain = conn.write(hello, 'binary');
-            // set timer
-            tid = setTimeout(() => {
-                // no hello back
-                const recover = '\x00'.repeat(8192) + hello;
-                // flush out interrupted commands
-                iid = setInterval(() => {
-                    // if drain
-                    if (drain) {
-                        // retry hello
-                        drain = conn.write(recover, 'binary');
-                    }
-                }, 1000);
-                // set timer
-                tid = setTimeout(() => close('offline'), 10000);
-            }, 2000);
-        };
+        }
+    }
+    return res;
+};
 
-        // open port
-        if (net.isIP(dest)) {
-            // net
-            conn = net.connect(9100, dest);
-            // connect event
-            conn.on('connect', start);
-            // error event
-            conn.on('error', err => {
-                // disconnect
-                close('disconnect');
+const realtime = (conn, params) => {
+    // escpos: realtime status (DLE EOT n)
+    return query(conn, params, '\x10\x04\x01\x10\x04\x02\x10\x04\x03\x10\x04\x04', buf => {
+        const status = buf.filter(c => (c & 0x93) === 0x12);
+        return status.length > 3 ? decodeStatus.realtime(status) : undefined;
+    });
+};
+
+const identify = async (conn, params, mode, brief) => {
+    // printer information
+    const info = { manufacturer: null, model: null, firmware: null, serial: null, fonts: null, paperWidth: null };
+    if (mode === 'star') {
+        // star: printer version (ESC # * LF NUL)
+        const version = await query(conn, params, '\x1b#*\n\x00', buf => {
+            const m = buf.toString('latin1').match(/([\x20-\x7e]+)\n\x00/);
+            return m ? m[1] : undefined;
+        });
+        if (version) {
+            const m = version.match(/^\s*(.*?)\s*Ver\s*(\S+)/i);
+            info.manufacturer = 'STAR';
+            info.model = m ? m[1] : version.trim();
+            info.firmware = m ? m[2] : null;
+        }
+    }
+    else {
+        // escpos, sii: printer information (GS I n)
+        const keys = brief ? { manufacturer: 0x42, model: 0x43 } : { manufacturer: 0x42, model: 0x43, firmware: 0x41, serial: 0x44, fonts: 0x45 };
+        for (const [ key, n ] of Object.entries(keys)) {
+            info[key] = await query(conn, params, '\x1dI' + String.fromCharCode(n), buf => {
+                const m = buf.toString('latin1').match(/\x5f([^\x00]*)\x00/);
+                return m ? m[1].trim() : undefined;
             });
+            // not supported or canceled
+            if (info.manufacturer === null || params.signal && params.signal.aborted) {
+                break;
+            }
         }
-        else if (await isSerialPort(dest)) {
-            // serial
-            const parity = { n: 'none', e: 'even', o: 'odd' };
-            const dev = /^([^:]*)(:((?:24|48|96|192|384|576|1152)00),?([neo]),?([78]),?([12]),?([nrx]?)$)?/i.exec(dest);
-            const opt = { baudRate: 115200 };
-            if (dev[2]) {
-                opt.baudRate = Number(dev[3]);
-                opt.parity = parity[dev[4].toLowerCase()];
-                opt.dataBits = Number(dev[5]);
-                opt.stopBits = Number(dev[6]);
-                opt.rtscts = /r/i.test(dev[7]);
-                opt.xon = opt.xoff = /x/i.test(dev[7]);
+        // escpos: paper width
+        if (!brief && mode !== 'sii' && info.manufacturer !== null && !(params.signal && params.signal.aborted)) {
+            info.paperWidth = await customized(conn, params);
+        }
+    }
+    return info;
+};
+
+const customized = async (conn, params) => {
+    // escpos: user setting mode (GS ( E pL pH fn d1 d2)
+    const mode = await query(conn, params, '\x1d(E\x03\x00\x01IN', buf => /\x37\x20\x00/.test(buf.toString('latin1')) || undefined);
+    if (!mode) {
+        // not supported
+        return null;
+    }
+    // customized value of paper width (GS ( E pL pH fn a)
+    const value = await query(conn, params, '\x1d(E\x02\x00\x06\x03', buf => {
+        const m = buf.toString('latin1').match(/\x37\x27\x03\x1f(\d+)\x00/);
+        return m ? Number(m[1]) : undefined;
+    });
+    // end user setting mode (software reset)
+    conn.write('\x1d(E\x04\x00\x02OUT', 'binary');
+    // 58 mm or 80 mm
+    return { 2: 58, 6: 80 }[value] || null;
+};
+
+const query = (conn, params, command, parse) => {
+
+    return new Promise(resolve => {
+        // receive buffer
+        let buf = Buffer.alloc(0);
+        // close and resolve
+        const close = res => {
+            // remove listeners
+            conn.off('data', ondata);
+            conn.off('error', onerror);
+            if (params.signal) {
+                params.signal.removeEventListener('abort', onerror);
             }
-            if ('SerialPort' in serialport) {
-                opt.path = dev[1];
-                conn = new serialport.SerialPort(opt);
-            }
-            else {
-                conn = new serialport(dev[1], opt);
+            // clear timer
+            clearTimeout(tid);
+            // resolve with value
+            resolve(res);
+        };
+        // data event
+        const ondata = data => {
+            buf = Buffer.concat([buf, data]);
+            const res = parse(buf);
+            if (res !== undefined) {
+                close(res);
             }
-            // open event
-            conn.on('open', start);
-            // error event
-            conn.on('error', err => {
-                // disconnect
-                close('disconnect');
-            });
+        };
+        // error event
+        const onerror = () => close(null);
+        // add listeners
+        conn.on('data', ondata);
+        conn.on('error', onerror);
+        if (params.signal) {
+            params.signal.addEventListener('abort', onerror);
         }
-        else if (/^\/dev\/usb\/lp/.test(dest)) {
-            try {
-                // device node
-                const handle = await fs.open(dest, 'r+');
-                // read
-                const rid = setInterval(async () => {
-                    const { bytesRead, buffer } = await handle.read();
-                    if (bytesRead > 0) {
-                        conn.emit('data', buffer.subarray(0, bytesRead));
-                    }
-                }, 100);
-                handle.on('close', () => clearInterval(rid));
-                // write
-                conn = handle.createWriteStream();
-                // error event
-                conn.on('error', err => {
-                    // disconnect
-                    close('disconnect');
-                });
-                setImmediate(start);
+        // transmit command
+        conn.write(command, 'binary');
+        // set timer
+        const tid = setTimeout(() => close(null), 1000);
+    });
+};
+
+const kick = (k, command) => {
+    // drawer and pulse (msec)
+    const [ d, on, off ] = k.split(',').map(c => Number(c));
+    const t1 = on >= 2 && on <= 800 ? on : 100;
+    const t2 = off >= 2 && off <= 800 ? off : 500;
+    if (/^star/.test(command)) {
+        // star: ESC BEL n1 n2 BEL (drawer 1), SUB (drawer 2)
+        return '\x1b@\x1b\x1ea\x00' + '\x1b\x07' + $(Math.ceil(t1 / 10)) + $(Math.ceil(t2 / 10)) + (d === 2 ? '\x1a' : '\x07') + '\x1b\x1d\x03\x01\x00\x00';
+    }
+    else if (command === 'sii') {
+        // sii: ESC p m n1 n2
+        return '\x1b@\x1da\x00' + '\x1bp' + $(d === 2 ? 1 : 0) + $(Math.min(Math.ceil(t1 / 2), 255)) + $(Math.min(Math.ceil(t2 / 2), 255)) + '\x12q\x00';
+    }
+    else if (t1 > 510) {
+        // escpos: DLE DC4 n m t (realtime pulse, 100 msec units)
+        return '\x1b@\x1da\x00' + '\x10\x14\x01' + $(d === 2 ? 1 : 0) + $(Math.ceil(t1 / 100)) + '\x1dr1';
+    }
+    else {
+        // escpos: ESC p m t1 t2 (2 msec units)
+        return '\x1b@\x1da\x00' + '\x1bp' + $(d === 2 ? 1 : 0) + $(Math.ceil(t1 / 2)) + $(Math.min(Math.ceil(t2 / 2), 255)) + '\x1dr1';
+    }
+};
+
+const monitor = (conn, receiptmd, params, printer, detail) => {
+
+    return new Promise(async resolve => {
+        // detect printer
+        const res = await communicate(conn, '', Object.assign({}, params, { q: 'printer' }), printer, detail);
+        if (!/^(online|coveropen|paperempty|error)$/.test(res)) {
+            // offline, disconnect, or canceled
+            resolve(res);
+            return;
+        }
+        // mode
+        const mode = detail.mode === 'generic' ? 'escpos' : detail.mode;
+        // state
+        let state = 1;
+        // timer
+        let iid = 0;
+        // last response time
+        let received = Date.now();
+        // automatic status received, or realtime status polling instead
+        let automatic = false;
+        let polling = false;
+        // receive buffer
+        let buf = Buffer.alloc(0);
+        // realtime status
+        let realtime = [];
+        // close and resolve
+        const close = res => {
+            if (state > 0) {
+                // remove listeners
+                conn.off('data', ondata);
+                conn.off('error', onerror);
+                conn.off('end', onerror);
+                conn.off('close', onerror);
+                if (params.signal) {
+                    params.signal.removeEventListener('abort', onabort);
+                }
+                // clear timer
+                clearInterval(iid);
+                // closed
+                state = 0;
             }
-            catch (e) {
-                close('disconnect');
+            // resolve with value
+            resolve(res);
+        };
+        // emit event
+        const emit = (name, value) => {
+            if (params.emitter) {
+                params.emitter.emit(name, value);
             }
-        }
-        else if (dest) {
+        };
+        // report status
+        const report = status => {
+            detail.deviceStatus = status;
+            emit('status', status);
+            // printer and drawer
+            const p = status.coverOpen ? 'coveropen' : status.paperEmpty ? 'paperempty' : status.error ? 'error' : 'online';
+            const d = status.drawerOpen !== (params.q === 'drawer2') ? 'draweropen' : 'drawerclosed';
+            params.change(p, d);
+        };
+        // error event
+        const onerror = err => {
             // disconnect
             close('disconnect');
+        };
+        // abort event
+        const onabort = () => {
+            // canceled
+            close('canceled');
+        };
+        // data event
+        const ondata = data => {
+            // append data
+            buf = Buffer.concat([buf, data]);
+            received = Date.now();
+            // parse response
+            let len;
+            do {
+                len = buf.length;
+                switch (mode) {
+                    case 'escpos':
+                        if ((buf[0] & 0x93) === 0x10) {
+                            // automatic status
+                            if (len > 3) {
+                                if ((buf[1] & 0x90) === 0 && (buf[2] & 0x90) === 0 && (buf[3] & 0x90) === 0) {
+                                    automatic = true;
+                                    report(decodeStatus.escpos(buf));
+                                    buf = buf.subarray(4);
+                                }
+                                else {
+                                    // other
+                                    buf = buf.subarray(1);
+                                }
+                            }
+                        }
+                        else if ((buf[0] & 0x93) === 0x12 && polling) {
+                            // realtime status (DLE EOT 1-4)
+                            realtime.push(buf[0]);
+                            buf = buf.subarray(1);
+                            if (realtime.length > 3) {
+                                report(decodeStatus.realtime(realtime));
+                                realtime = [];
+                            }
+                        }
+                        else {
+                            // other
+                            buf = buf.subarray(1);
+                        }
+                        break;
+
+                    case 'sii':
+                        if ((buf[0] & 0xf0) === 0xc0) {
+                            // automatic status
+                            if (len > 7) {
+                                report(decodeStatus.sii(buf));
+                                buf = buf.subarray(8);
+                            }
+                        }
+                        else {
+                            // other
+                            buf = buf.subarray(1);
+                        }
+                        break;
+
+                    case 'star':
+                        if ((buf[0] & 0x91) === 0x01) {
+                            // realtime status, automatic status
+                            if (len > 1) {
+                                const l = ((buf[0] >> 2 & 0x18) | (buf[0] >> 1 & 0x07)) + (buf[1] >> 6 & 0x02);
+                                // check length
+                                if (l <= len) {
+                                    report(decodeStatus.star(buf));
+                                    buf = buf.subarray(l);
+                                }
+                            }
+                        }
+                        else {
+                            // other
+                            buf = buf.subarray(1);
+                        }
+                        break;
+
+                    default:
+                        buf = buf.subarray(len);
+                        break;
+                }
+            }
+            while (buf.length > 0 && buf.length < len);
+        };
+        // add listeners
+        conn.on('data', ondata);
+        conn.on('error', onerror);
+        conn.on('end', onerror);
+        conn.on('close', onerror);
+        if (params.signal) {
+            params.signal.addEventListener('abort', onabort);
+        }
+        // enable automatic status: GS a n, ESC RS a n
+        const asb = { escpos: '\x1da\xff', sii: '\x1da\xff', star: '\x1b\x1ea\x01' }[mode];
+        // status inquiry: GS a n, ESC ACK SOH
+        const inquiry = { escpos: '\x1da\xff', sii: '\x1da\xff', star: '\x1b\x06\x01' }[mode];
+        conn.write(asb + (mode === 'star' ? inquiry : ''), 'binary');
+        // heartbeat
+        iid = setInterval(() => {
+            if (Date.now() - received > 12000) {
+                // no response
+                close('offline');
+            }
+            else if (mode === 'escpos' && (polling || !automatic)) {
+                // escpos without automatic status: poll realtime status (DLE EOT n)
+                polling = true;
+                realtime = [];
+                conn.write('\x10\x04\x01\x10\x04\x02\x10\x04\x03\x10\x04\x04', 'binary');
+            }
+            else {
+                // inquire status
+                conn.write(inquiry, 'binary');
+            }
+        }, 5000);
+    });
+};
+
+const waitDrawer = async (conn, receiptmd, params, printer, detail) => {
+    // open cash drawer
+    if (params.k) {
+        const res = await communicate(conn, '', params, printer, detail);
+        if (res !== 'success') {
+            return res;
+        }
+    }
+    // timeout
+    const t = Number(params.t);
+    const timeout = t >= 0 && t <= 3600 ? Math.trunc(t) : 300;
+    // stop monitoring
+    const controller = new AbortController();
+    const onabort = () => controller.abort();
+    if (params.signal) {
+        params.signal.addEventListener('abort', onabort);
+    }
+    // drawer status
+    let res = '';
+    let opened = 0;
+    let closed = 0;
+    const tid = setTimeout(() => {
+        res = 'timeout';
+        controller.abort();
+    }, timeout * 1000);
+    // report changes
+    const change = (p, d) => {
+        if (d === 'draweropen') {
+            opened = opened || Date.now();
+        }
+        else if (opened || !params.k) {
+            // drawer closed after opened
+            closed = Date.now();
+            res = 'drawerclosed';
+            controller.abort();
         }
         else {
-            // transform
-            resolve(await transform(receiptmd, printer));
+            // not opened yet
         }
-    });
+    };
+    const q = params.q === 'drawer2' ? 'drawer2' : 'drawer';
+    const ret = await monitor(conn, '', Object.assign({}, params, { q: q, signal: controller.signal, change: change }), printer, detail);
+    // clean up
+    clearTimeout(tid);
+    if (params.signal) {
+        params.signal.removeEventListener('abort', onabort);
+    }
+    // time the drawer was open
+    detail.time.drawer = opened ? (closed || Date.now()) - opened : 0;
+    return ret === 'canceled' && res || ret;
+};
+
+const watch = async (params, connection) => {
+    // current status
+    const current = { printer: '', drawer: '' };
+    // report changes
+    const change = (printer, drawer) => {
+        if (printer !== current.printer || drawer !== current.drawer) {
+            current.printer = printer;
+            current.drawer = drawer;
+            if (params.emitter) {
+                params.emitter.emit('change', Object.assign({}, current));
+            }
+        }
+    };
+    const p = Object.assign({}, params, { change: change, detail: true });
+    // watch until canceled
+    let res, detail;
+    while (true) {
+        detail = await execute('', p, connection);
+        res = detail.status;
+        if (res === 'canceled' || connection) {
+            break;
+        }
+        // offline or disconnect
+        change(res, '');
+        // wait to reconnect
+        await sleep(3000, params.signal);
+        if (params.signal && params.signal.aborted) {
+            res = detail.status = 'canceled';
+            break;
+        }
+    }
+    if (params.emitter) {
+        params.emitter.emit('result', params.detail ? detail : res);
+    }
+    return params.detail ? detail : res;
 };
 
 /**
  * Create a transform stream to print receipts, get printer status, or convert to print images.
- * @param {string} [options] options ([-d destination] [-p printer] [-q] [-c chars] [-u] [-v] [-r] [-s] [-n] [-i] [-b threshold] [-g gamma] [-t timeout] [-l language])
+ * @param {string|object} [options] options ([-d destination] [-p printer] [-q] [-c chars] [-u] [-v] [-r] [-s] [-n] [-i] [-b threshold] [-g gamma] [-t timeout] [-l language]) or options object
+ * @param {stream.Duplex} [connection] connection to the printer instead of -d destination
  * @returns {stream.Transform} transform stream
  */
-const createPrint = options => {
+const createPrint = (options, connection) => {
     // options
     const params = parseOption(options);
-    const printer = convertOption(params);
+    const printer = convertOption(params, !!connection);
     // transform
-    if (params.d || /^png$/.test(printer.command) || params.i && (puppeteer || sharp)) {
+    if (params.d || connection || /^(png|pbm)$/.test(printer.command) || printer.asImage) {
         // create transform stream
         return new stream.Transform({
             construct(callback) {
                 // initialize
                 this.decoder = new decoder.StringDecoder('utf8');
                 this.data = '';
+                // cancel on abort or destroy
+                this.controller = new AbortController();
+                if (params.signal) {
+                    params.signal.addEventListener('abort', () => this.controller.abort(), { once: true });
+                }
                 callback();
             },
             transform(chunk, encoding, callback) {
@@ -740,95 +1586,1155 @@ const createPrint = options => {
             },
             async flush(callback) {
                 // convert receiptline to command
-                const cmd = await print(this.data, options);
-                this.push(cmd, params.d || /^(svg|text)$/.test(printer.command) ? 'utf8' : 'binary');
-                callback();
+                const p = Object.assign({}, params, { signal: this.controller.signal, emitter: this });
+                try {
+                    const res = await dispatch(this.data, p, connection);
+                    const cmd = typeof res === 'object' ? JSON.stringify(res) : res;
+                    this.push(cmd, params.d || connection || /^(svg|text)$/.test(printer.command) ? 'utf8' : 'binary');
+                    callback();
+                }
+                catch (e) {
+                    // conversion error
+                    callback(e);
+                }
+            },
+            destroy(err, callback) {
+                // cancel
+                this.controller.abort();
+                callback(err);
             }
         });
     }
     else {
         const printer = convertOption(params);
         // convert receiptline to command
-        if (printer.landscape && /^(escpos|epson|sii|citizen|star[sm]bcs2?)$/.test(printer.command)) {
+        if (printer.landscape && landscape[printer.command]) {
             // landscape orientation
             printer.command = Object.assign({}, receiptline.commands[printer.command], ...landscape[printer.command]);
         }
-        return receiptline.createTransform(printer);
+        return receiptline.createTransform(dithering(printer));
     }
 };
 
-const parseOption = options => {
-    // parameters
-    const params = {
-        h: false, // show help
-        d: '', // ip address or serial/usb port of target printer
-        o: '', // file to output (if -d option is not present)
-        p: '', // printer control language
-        q: '', // inquire status (printer/drawer/drawer2)
-        c: '-1', // characters per line
-        u: false, // upside down
-        v: false, // landscape orientation
-        r: '-1', // print resolution for -v
-        s: false, // paper saving
-        n: false, // no paper cut
-        m: '-1,-1', // print margin
-        i: false, // print as image
-        b: '-1', // image thresholding
-        g: '-1', // image gamma correction
-        t: '-1', // print timeout
-        l: new Intl.NumberFormat().resolvedOptions().locale // language of source file
+/**
+ * Create a session that keeps the connection to the printer for multiple print jobs.
+ * @param {string|object} options options with destination ([-d destination] [-p printer] [-c chars] ...) or options object
+ * @returns {object} session ({ print(receiptmd), close() })
+ */
+const createSession = options => {
+    // options
+    const params = parseOption(options);
+    if (!params.d) {
+        throw new TypeError('Option "destination" is required');
+    }
+    if (Array.isArray(params.d) || params.groups && params.groups[params.d]) {
+        throw new TypeError('Option "destination" must be a single destination');
+    }
+    // kept connection
+    const session = { conn: null };
+    // detected printer control language
+    let protocol = '';
+    // sequential jobs
+    let chain = Promise.resolve();
+    let closed = false;
+    // drop connection
+    const drop = () => {
+        const conn = session.conn;
+        session.conn = null;
+        if (conn) {
+            conn.destroy();
+            if (conn.isOpen) {
+                // serial
+                conn.close();
+            }
+        }
     };
-    // arguments
-    const argv = options ? options.split(' ') : [];
-    // parse arguments
-    for (let i = 0; i < argv.length; i++) {
-        const key = argv[i];
-        if (/^-[huvsni]$/.test(key)) {
-            // option without value
-            params[key[1]] = true;
+    // print job
+    const run = async receiptmd => {
+        let detail;
+        for (let retry = 0; retry < 2; retry++) {
+            const conn = session.conn;
+            const p = Object.assign({}, params, { q: '', w: false, a: false, p: params.p || protocol, detail: true, session: session, resume: !!conn && !!protocol });
+            detail = await execute(receiptmd, p, conn || undefined);
+            if (conn && /^(offline|disconnect|timeout|canceled)$/.test(detail.status)) {
+                // broken connection
+                drop();
+            }
+            if (session.conn && session.conn !== conn) {
+                // new connection
+                const c = session.conn;
+                c.once('close', () => {
+                    if (session.conn === c) {
+                        session.conn = null;
+                    }
+                });
+            }
+            if (/^(escpos|sii|star)$/.test(detail.mode) && detail.protocol) {
+                // detected printer
+                protocol = detail.protocol;
+            }
+            if (!(conn && detail.status === 'disconnect' && detail.time.print === 0)) {
+                // offline is reported at once, and the next job reconnects
+                break;
+            }
+            // reconnect and retry
         }
-        else if (/^-[dopqcrmbgtl]$/.test(key)) {
-            // option with value
-            if (i < argv.length - 1) {
-                const value = argv[i + 1];
-                if (/^[^-]/.test(value)) {
-                    params[key[1]] = value;
-                    i++;
+        return params.detail ? detail : detail.status;
+    };
+    return {
+        print: receiptmd => {
+            if (closed) {
+                return Promise.reject(new Error('Session is closed'));
+            }
+            const job = chain.then(() => run(receiptmd));
+            chain = job.catch(() => {});
+            return job;
+        },
+        close: async () => {
+            closed = true;
+            await chain;
+            drop();
+        }
+    };
+};
+
+/**
+ * Create a print queue that spools jobs to a directory and prints them in order per destination.
+ * @param {string} spool spool directory
+ * @param {object} [options] queue options ({ retries, holds, delay, maxDelay, interval })
+ * @returns {events.EventEmitter} print queue
+ */
+const createQueue = (spool, options) => {
+    // queue options
+    const opts = Object.assign({ retries: Infinity, holds: 3, delay: 1000, maxDelay: 60000, interval: 5000 }, options);
+    for (const key of [ 'retries', 'holds', 'delay', 'maxDelay', 'interval' ]) {
+        if (typeof opts[key] !== 'number' || !(opts[key] >= 0)) {
+            throw new RangeError(`Option "${key}" must be a non-negative number: ${JSON.stringify(opts[key])}`);
+        }
+    }
+    const queue = new events.EventEmitter();
+    // destinations
+    const workers = {};
+    // stop on close (shared by the jobs of all destinations)
+    const controller = new AbortController();
+    events.setMaxListeners(0, controller.signal);
+    // job sequence
+    let seq = 0;
+    // job file
+    const file = (job, ext) => path.join(spool, `${job.id}.${ext || 'json'}`);
+    // save job
+    const save = async job => {
+        await fs.writeFile(file(job, 'tmp'), JSON.stringify(job));
+        await fs.rename(file(job, 'tmp'), file(job));
+    };
+    // report job
+    const report = (name, job, value) => queue.emit(name, Object.assign({ id: job.id, destination: job.destination, attempts: job.attempts }, value));
+    // print job
+    const run = async job => {
+        let params;
+        try {
+            params = Object.assign(parseOption(job.options), { q: '', w: false, a: false, detail: false, signal: controller.signal, emitter: null });
+        }
+        catch (e) {
+            // invalid options
+            await fs.rename(file(job), file(job, 'failed')).catch(() => {});
+            report('failed', job, { result: e.message });
+            return;
+        }
+        while (!controller.signal.aborted) {
+            const res = await execute(job.markdown, params);
+            if (res === 'success') {
+                // done
+                await fs.unlink(file(job)).catch(() => {});
+                report('done', job, { result: res });
+                break;
+            }
+            else if (res === 'canceled') {
+                // closed
+                break;
+            }
+            else if (/^(coveropen|paperempty)$/.test(res) || res === 'error' && (job.holds || 0) < opts.holds) {
+                // hold until the printer is ready (printer error repeated by the job fails)
+                if (res === 'error') {
+                    job.holds = (job.holds || 0) + 1;
+                    await save(job).catch(() => {});
+                }
+                report('hold', job, { result: res });
+                let status = res;
+                while (!controller.signal.aborted && status !== 'online') {
+                    await sleep(opts.interval, controller.signal);
+                    status = await execute('', Object.assign({}, params, { q: 'printer' }));
+                }
+                if (status === 'online') {
+                    report('resume', job, { result: status });
                 }
             }
-            // default value of status inquiry
-            if (key[1] === 'q') {
-                const q = params.q.toLowerCase();
-                params.q = /^drawer2?$/.test(q) ? q : 'printer';
+            else if (/^(offline|disconnect)$/.test(res) && job.attempts < opts.retries) {
+                // retry with backoff
+                const delay = Math.min(opts.delay * 2 ** job.attempts, opts.maxDelay);
+                job.attempts++;
+                await save(job).catch(() => {});
+                report('retry', job, { result: res, delay: delay });
+                await sleep(delay, controller.signal);
+            }
+            else {
+                // failed (timeout is not retried, because the receipt may have been printed)
+                await fs.rename(file(job), file(job, 'failed')).catch(() => {});
+                report('failed', job, { result: res });
+                break;
             }
         }
-        else {
-            // undefined option
+    };
+    // add job to destination
+    const enqueue = job => {
+        const worker = workers[job.destination] || (workers[job.destination] = { jobs: [], running: null });
+        worker.jobs.push(job);
+        if (!worker.running) {
+            worker.running = (async () => {
+                while (worker.jobs.length > 0 && !controller.signal.aborted) {
+                    await run(worker.jobs[0]);
+                    if (!controller.signal.aborted) {
+                        worker.jobs.shift();
+                    }
+                }
+                worker.running = null;
+            })();
         }
-    }
-    return params;
+    };
+    // load pending jobs
+    const ready = (async () => {
+        await fs.mkdir(spool, { recursive: true });
+        const files = (await fs.readdir(spool)).filter(f => /\.json$/.test(f)).sort();
+        for (const f of files) {
+            try {
+                enqueue(JSON.parse(await fs.readFile(path.join(spool, f), 'utf8')));
+            }
+            catch (e) {
+                // broken job
+                await fs.rename(path.join(spool, f), path.join(spool, f.replace(/\.json$/, '.failed'))).catch(() => {});
+            }
+        }
+    })();
+    ready.catch(e => queue.emit('error', e));
+    // add job
+    queue.add = async (receiptmd, options) => {
+        await ready;
+        if (controller.signal.aborted) {
+            throw new Error('Queue is closed');
+        }
+        if (typeof receiptmd !== 'string') {
+            throw new TypeError('Receipt markdown must be a string');
+        }
+        // validate options
+        const params = parseOption(options);
+        if (!params.d) {
+            throw new TypeError('Option "destination" is required');
+        }
+        if (Array.isArray(params.d) || params.groups && params.groups[params.d]) {
+            throw new TypeError('Option "destination" must be a single destination');
+        }
+        if (params.signal || params.emitter) {
+            throw new TypeError('Options "signal" and "emitter" cannot be spooled');
+        }
+        // spool job
+        const id = `${Date.now().toString().padStart(15, '0')}-${(seq++ % 1000000).toString().padStart(6, '0')}`;
+        const job = { id: id, destination: params.d, markdown: receiptmd, options: options, attempts: 0 };
+        await save(job);
+        enqueue(job);
+        return id;
+    };
+    // close queue
+    queue.close = async () => {
+        controller.abort();
+        await ready.catch(() => {});
+        await Promise.all(Object.values(workers).map(worker => worker.running));
+    };
+    return queue;
 };
 
-const convertOption = params => {
-    // language
-    let l = params.l.toLowerCase();
-    l = l.slice(0, /^zh-han[st]/.test(l) ? 7 : 2);
-    // command system
-    let p = params.p.toLowerCase();
-    if (!/^(svg|png|te?xt|escpos|epson|sii|citizen|fit|impactb?|generic|star(line|graphic|impact[23]?)?|emustarline)$/.test(p)) {
-        const o = params.o.toLowerCase();
-        const ext = /^.+\.(svg|png|txt)$/.exec(o) || [ '', 'svg' ];
-        p = params.d ? '' : ext[1];
+/**
+ * Discover printers on serial ports, USB line printer devices, and network.
+ * @param {object} [options] discovery options ({ subnet, port, serial, usb, concurrency, signal, emitter })
+ * @returns {object[]} printers ({ destination, status, protocol, manufacturer, model })
+ */
+const discover = async options => {
+    // discovery options
+    const opts = Object.assign({ port: 9100, serial: true, usb: true, concurrency: 64 }, options);
+    const subnets = [].concat(opts.subnet || []).map(subnet => {
+        const m = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})(?:\/(\d{1,2}))?$/.exec(subnet);
+        if (!m || m.slice(1, 5).some(n => n > 255) || m[5] < 16 || m[5] > 32) {
+            throw new RangeError(`Option "subnet" must be IPv4 address with prefix length 16-32: ${JSON.stringify(subnet)}`);
+        }
+        return m;
+    });
+    if (!Number.isInteger(opts.port) || opts.port < 1 || opts.port > 65535) {
+        throw new RangeError(`Option "port" must be an integer between 1 and 65535: ${JSON.stringify(opts.port)}`);
     }
-    else if (/^(emu)?star(line)?$/.test(p)) {
-        p += `${/^(ja|ko|zh)/.test(l) ? 'm' : 's'}bcs${/^(ko|zh)/.test(l) ? '2' : ''}`;
+    if (!Number.isInteger(opts.concurrency) || opts.concurrency < 1) {
+        throw new RangeError(`Option "concurrency" must be a positive integer: ${JSON.stringify(opts.concurrency)}`);
     }
-    p = p.replace('txt', 'text');
-    // language to codepage
-    const codepage = {
-        'ja': 'shiftjis', 'ko': 'ksc5601', 'zh': 'gb18030', 'zh-hans': 'gb18030', 'zh-hant': 'big5', 'th': 'tis620'
+    // candidates
+    const candidates = [];
+    // serial ports
+    if (opts.serial && serialport) {
+        const list = await ('SerialPort' in serialport ? serialport.SerialPort.list() : serialport.list());
+        candidates.push(...list.map(port => ({ destination: port.path })));
+    }
+    // usb line printer devices
+    if (opts.usb) {
+        const files = await fs.readdir('/dev/usb').catch(() => []);
+        candidates.push(...files.filter(file => /^lp\d+$/.test(file)).map(file => ({ destination: `/dev/usb/${file}` })));
+    }
+    // network hosts
+    for (const m of subnets) {
+        const bits = m[5] ? Number(m[5]) : 32;
+        const mask = bits === 32 ? 0xffffffff : ~(0xffffffff >>> bits) >>> 0;
+        const base = (m.slice(1, 5).reduce((a, n) => a * 256 + Number(n), 0) & mask) >>> 0;
+        const size = 2 ** (32 - bits);
+        // exclude network and broadcast addresses
+        for (let i = size > 2 ? 1 : 0; i < (size > 2 ? size - 1 : size); i++) {
+            const a = base + i;
+            const host = [ a >>> 24, a >>> 16 & 255, a >>> 8 & 255, a & 255 ].join('.');
+            candidates.push({ destination: opts.port === 9100 ? host : `${host}:${opts.port}`, host: host });
+        }
+    }
+    // open port check
+    const reachable = host => new Promise(resolve => {
+        const conn = net.connect({ host: host, port: opts.port, timeout: 1000 });
+        const done = res => {
+            conn.destroy();
+            resolve(res);
+        };
+        conn.on('connect', () => done(true));
+        conn.on('timeout', () => done(false));
+        conn.on('error', () => done(false));
+    });
+    // probe with printer information inquiry
+    const probe = async candidate => {
+        if (candidate.host && !await reachable(candidate.host)) {
+            return;
+        }
+        if (opts.signal && opts.signal.aborted) {
+            return;
+        }
+        const params = Object.assign(parseOption({ inquiry: 'info' }), { d: candidate.destination, signal: controller.signal });
+        const detail = await execute('', params);
+        // responded to hello
+        if (detail.mode) {
+            const printer = { destination: detail.destination, status: detail.status, protocol: detail.protocol, manufacturer: detail.manufacturer, model: detail.model };
+            printers.push(printer);
+            if (opts.emitter) {
+                opts.emitter.emit('printer', printer);
+            }
+        }
     };
-    // string to number
+    // printers
+    const printers = [];
+    let next = 0;
+    const controller = shareSignal(opts.signal);
+    await Promise.all(Array.from({ length: Math.min(opts.concurrency, candidates.length) }, async () => {
+        while (next < candidates.length && !(opts.signal && opts.signal.aborted)) {
+            await probe(candidates[next++]);
+        }
+    }));
+    controller.unlink();
+    // in order of candidates
+    const order = candidates.map(candidate => candidate.destination);
+    return printers.sort((a, b) => order.indexOf(a.destination) - order.indexOf(b.destination));
+};
+
+/**
+ * Create a virtual printer that responds like a receipt printer and renders received print data as SVG.
+ * @param {object} [options] emulator options ({ model, cpl, language, output })
+ * @returns {events.EventEmitter} virtual printer
+ */
+const createEmulator = options => {
+    // emulator options
+    const opts = Object.assign({ model: 'epson', cpl: 48, language: '', output: '' }, options);
+    const printer = emulation[opts.model];
+    if (!printer) {
+        throw new RangeError(`Option "model" must be one of ${Object.keys(emulation).join(', ')}: ${JSON.stringify(opts.model)}`);
+    }
+    if (!Number.isInteger(opts.cpl) || opts.cpl < 24 || opts.cpl > 96) {
+        throw new RangeError(`Option "cpl" must be an integer between 24 and 96: ${JSON.stringify(opts.cpl)}`);
+    }
+    if (typeof opts.language !== 'string' || typeof opts.output !== 'string') {
+        throw new TypeError('Options "language" and "output" must be strings');
+    }
+    const emulator = new events.EventEmitter();
+    // printer status
+    const status = { coverOpen: false, paperEmpty: false, paperNearEnd: false, error: false, offline: false, drawerOpen: false, slow: 0 };
+    // connections
+    const clients = new Set();
+    const servers = new Set();
+    const sockets = new Set();
+    // saving files
+    const saving = new Set();
+    // receipt sequence
+    let seq = 0;
+    // status response
+    const respond = {
+        // escpos: realtime status (DLE EOT n)
+        realtime: n => {
+            const offline = status.coverOpen || status.paperEmpty || status.error;
+            const res = {
+                1: (status.drawerOpen ? 0 : 0x04) | (offline ? 0x08 : 0),
+                2: (status.coverOpen ? 0x04 : 0) | (status.paperEmpty ? 0x20 : 0) | (status.error ? 0x40 : 0),
+                3: status.error ? 0x08 : 0,
+                4: (status.paperNearEnd ? 0x0c : 0) | (status.paperEmpty ? 0x60 : 0)
+            };
+            return Buffer.from([ 0x12 | (res[n] || 0) ]);
+        },
+        // escpos: automatic status
+        escpos: () => {
+            const offline = status.coverOpen || status.paperEmpty || status.error;
+            return Buffer.from([ 0x10 | (status.drawerOpen ? 0 : 0x04) | (offline ? 0x08 : 0) | (status.coverOpen ? 0x20 : 0), status.error ? 0x08 : 0, (status.paperNearEnd ? 0x03 : 0) | (status.paperEmpty ? 0x0c : 0), 0 ]);
+        },
+        // sii: automatic status
+        sii: () => Buffer.from([ 0xc0 | (status.error ? 0x08 : 0), status.coverOpen ? 0xd8 : status.paperEmpty ? 0xd1 : 0xc0, 0xc0, status.drawerOpen ? 0xc0 : 0xd8, 0xc0, 0xc0, 0xc0, 0xc0 ]),
+        // star: automatic status
+        star: etb => {
+            const offline = status.coverOpen || status.paperEmpty || status.error;
+            return Buffer.from([ 0x23, 0x06, (status.drawerOpen ? 0x04 : 0) | (offline ? 0x08 : 0) | (status.coverOpen ? 0x20 : 0), status.error ? 0x08 : 0, 0, (status.paperNearEnd ? 0x04 : 0) | (status.paperEmpty ? 0x08 : 0), 0, (etb & 0x1f) << 1, 0 ]);
+        }
+    };
+    // render and save receipt
+    const save = async data => {
+        const svg = renderSVG(data, printer.protocol, opts);
+        let file = '';
+        if (opts.output) {
+            file = path.join(opts.output, `${Date.now().toString().padStart(15, '0')}-${(seq++ % 1000000).toString().padStart(6, '0')}.svg`);
+            await fs.mkdir(opts.output, { recursive: true });
+            await fs.writeFile(file, svg);
+        }
+        emulator.emit('print', { data: data, svg: svg, file: file });
+    };
+    // connect to virtual printer
+    emulator.connect = () => {
+        // received data
+        let buf = Buffer.alloc(0);
+        // print data
+        let job = [];
+        let printable = false;
+        // automatic status
+        let asb = false;
+        // end of stream
+        let ended = false;
+        // etb counter
+        let etb = 0;
+        // send response
+        const send = data => setImmediate(() => {
+            if (!conn.destroyed && !ended && !status.offline) {
+                conn.push(data);
+            }
+        });
+        // end of receipt
+        const flush = () => {
+            if (printable) {
+                const task = save(Buffer.concat(job)).catch(e => emulator.emit('error', e)).finally(() => saving.delete(task));
+                saving.add(task);
+            }
+            job = [];
+            printable = false;
+        };
+        // process command
+        const execute = cmd => {
+            const [ c, d, e ] = cmd;
+            // printable data
+            job.push(cmd);
+            printable = printable || c >= 0x20 && c !== 0x7f || c === 0x0a || c === 0x1d && /[8kv(]/.test($(d)) && !(d === 0x28 && e === 0x45) || c === 0x1b && (d === 0x1d && e === 0x53 || d === 0x62);
+            if (printer.protocol === 'star') {
+                if (c === 0x1b && d === 0x06 && e === 0x01) {
+                    // ESC ACK SOH
+                    send(respond.star(etb));
+                }
+                else if (c === 0x17) {
+                    // ETB
+                    etb++;
+                    send(respond.star(etb));
+                    flush();
+                }
+                else if (c === 0x1b && d === 0x1e && e === 0x61) {
+                    // ESC RS a n
+                    asb = cmd[3] !== 0;
+                }
+                else if (c === 0x1b && d === 0x23 && e === 0x2a) {
+                    // ESC # * LF NUL
+                    send(Buffer.from(`${printer.model} Ver${printer.firmware}\n\x00`, 'latin1'));
+                }
+                else if (c === 0x07 || c === 0x1a) {
+                    // BEL, SUB
+                    emulator.set({ drawerOpen: true });
+                }
+            }
+            else {
+                if (c === 0x10 && d === 0x04 && printer.protocol === 'escpos') {
+                    // DLE EOT n
+                    send(respond.realtime(e));
+                }
+                else if (c === 0x10 && d === 0x14 && e === 0x01 || c === 0x1b && d === 0x70) {
+                    // DLE DC4 fn m t, ESC p m t1 t2
+                    emulator.set({ drawerOpen: true });
+                }
+                else if (c === 0x1b && d === 0x40 && printer.protocol === 'sii') {
+                    // ESC @
+                    send(Buffer.from([ 0xb0 ]));
+                }
+                else if (c === 0x1d && d === 0x61) {
+                    // GS a n
+                    asb = e !== 0;
+                    if (asb) {
+                        send(respond[printer.protocol]());
+                    }
+                }
+                else if (c === 0x1d && d === 0x49) {
+                    // GS I n
+                    const info = { 0x41: printer.firmware, 0x42: printer.manufacturer, 0x43: printer.model, 0x44: printer.serial, 0x45: printer.fonts }[e];
+                    if (info) {
+                        send(Buffer.from(`_${info}\x00`, 'latin1'));
+                    }
+                }
+                else if (c === 0x1d && d === 0x28 && e === 0x45 && printer.protocol === 'escpos') {
+                    // GS ( E pL pH fn ...
+                    const fn = cmd[5];
+                    if (fn === 0x01) {
+                        // user setting mode
+                        send(Buffer.from([ 0x37, 0x20, 0x00 ]));
+                    }
+                    else if (fn === 0x06 && cmd[6] === 0x03) {
+                        // paper width (58 mm or 80 mm)
+                        send(Buffer.from(`\x37\x27\x03\x1f${opts.cpl < 42 ? 2 : 6}\x00`, 'latin1'));
+                    }
+                }
+                else if (c === 0x1d && d === 0x72) {
+                    // GS r n
+                    send(Buffer.from([ (e & 0x0f) === 2 ? (status.drawerOpen ? 0 : 1) : (status.paperNearEnd ? 0x03 : 0) | (status.paperEmpty ? 0x0c : 0) ]));
+                    flush();
+                }
+                else if (c === 0x12 && d === 0x71) {
+                    // DC2 q n
+                    send(Buffer.from([ 0x80 ]));
+                    flush();
+                }
+            }
+        };
+        // receive data
+        const receive = data => {
+            emulator.emit('data', data);
+            if (status.offline) {
+                // no response
+                return;
+            }
+            buf = Buffer.concat([ buf, data ]);
+            let i = 0;
+            while (i < buf.length) {
+                const l = commandLength[printer.protocol === 'star' ? 'star' : 'escpos'](buf, i);
+                if (l === 0) {
+                    // incomplete command
+                    break;
+                }
+                execute(buf.subarray(i, i + l));
+                i += l;
+            }
+            buf = buf.subarray(i);
+        };
+        // duplex stream
+        const conn = new stream.Duplex({
+            read() {},
+            write(chunk, encoding, callback) {
+                if (status.slow > 0) {
+                    // slow drain
+                    setTimeout(() => {
+                        receive(chunk);
+                        callback();
+                    }, chunk.length / status.slow * 1000);
+                }
+                else {
+                    receive(chunk);
+                    callback();
+                }
+            },
+            final(callback) {
+                flush();
+                ended = true;
+                this.push(null);
+                callback();
+            },
+            destroy(err, callback) {
+                clients.delete(conn);
+                flush();
+                callback(err);
+            }
+        });
+        // status change
+        conn.notify = () => {
+            if (asb) {
+                send(printer.protocol === 'star' ? respond.star(etb) : respond[printer.protocol]());
+            }
+        };
+        clients.add(conn);
+        return conn;
+    };
+    // change printer status
+    emulator.set = values => {
+        for (const [ key, value ] of Object.entries(values || {})) {
+            if (!(key in status)) {
+                throw new TypeError(`Unknown status "${key}"`);
+            }
+            if (key === 'slow' ? typeof value !== 'number' || !(value >= 0) : typeof value !== 'boolean') {
+                throw new TypeError(`Status "${key}" must be ${key === 'slow' ? 'a non-negative number' : 'a boolean'}: ${JSON.stringify(value)}`);
+            }
+        }
+        const changed = Object.keys(values || {}).some(key => key !== 'slow' && status[key] !== values[key]);
+        Object.assign(status, values);
+        if (changed) {
+            clients.forEach(conn => conn.notify());
+            emulator.emit('status', Object.assign({}, status));
+        }
+    };
+    // current printer status
+    Object.defineProperty(emulator, 'status', { get: () => Object.assign({}, status) });
+    // listen on tcp port (pty and serial port are bridged to connect() by the caller)
+    emulator.listen = (port, host) => new Promise((resolve, reject) => {
+        const server = net.createServer(socket => {
+            const conn = emulator.connect();
+            sockets.add(socket);
+            socket.on('error', () => conn.destroy());
+            socket.on('close', () => {
+                sockets.delete(socket);
+                conn.destroy();
+            });
+            socket.pipe(conn).pipe(socket);
+        });
+        server.once('error', reject);
+        server.listen(port === undefined ? 9100 : port, host || '127.0.0.1', () => {
+            servers.add(server);
+            resolve(server.address());
+        });
+    });
+    // stop virtual printer
+    emulator.close = async () => {
+        sockets.forEach(socket => socket.destroy());
+        await Promise.all([ ...servers ].map(server => new Promise(resolve => server.close(resolve))));
+        servers.clear();
+        clients.forEach(conn => conn.destroy());
+        await Promise.all([ ...saving ]);
+    };
+    return emulator;
+};
+
+/**
+ * Replay print jobs recorded in a trace file by feeding the recorded printer responses back through the parser.
+ * @param {string} file trace file (--trace option)
+ * @param {object} [options] replay options ({ signal, emitter })
+ * @returns {object[]} results of replayed jobs ({ id, recorded, replayed })
+ */
+const replay = async (file, options) => {
+    // replay options
+    const opts = Object.assign({ signal: null, emitter: null }, options);
+    // trace records for each job
+    const jobs = new Map();
+    const lines = (await fs.readFile(file, 'utf8')).split(/\r?\n/);
+    lines.forEach((line, i) => {
+        if (!line.trim()) {
+            return;
+        }
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        }
+        catch (e) {
+            throw new SyntaxError(`Invalid trace record at line ${i + 1}: ${file}`);
+        }
+        if (entry.type === 'open') {
+            jobs.set(entry.id, [ entry ]);
+        }
+        else if (jobs.has(entry.id)) {
+            jobs.get(entry.id).push(entry);
+        }
+    });
+    if (jobs.size === 0) {
+        throw new Error(`No print jobs in trace file: ${file}`);
+    }
+    // replay in order
+    const results = [];
+    for (const [ id, records ] of jobs) {
+        if (opts.signal && opts.signal.aborted) {
+            break;
+        }
+        const open = records[0];
+        const end = records.find(entry => entry.type === 'close');
+        // recorded responses with preceding writes and delay
+        const reads = [];
+        const connect = records.find(entry => entry.type === 'event' && entry.name === 'state' && entry.value === 'connect');
+        let writes = 0;
+        let mark = connect ? connect.t : 0;
+        for (const entry of records) {
+            if (entry.type === 'write') {
+                writes++;
+                mark = entry.t;
+            }
+            else if (entry.type === 'read') {
+                reads.push({ writes: writes, delay: entry.t - mark, data: Buffer.from(entry.data, 'hex') });
+            }
+        }
+        // respond after the same number of writes as recorded
+        const timers = [];
+        let count = 0;
+        let next = 0;
+        let due = 0;
+        const schedule = () => {
+            while (next < reads.length && reads[next].writes <= count) {
+                const r = reads[next++];
+                due = Math.max(due, Date.now() + r.delay);
+                timers.push(setTimeout(() => conn.push(r.data), due - Date.now()));
+            }
+        };
+        const conn = new stream.Duplex({
+            read(size) {},
+            write(chunk, encoding, callback) {
+                count++;
+                schedule();
+                callback();
+            },
+            destroy(err, callback) {
+                timers.forEach(tid => clearTimeout(tid));
+                callback(err);
+            }
+        });
+        // stop after the recorded duration
+        const controller = new AbortController();
+        const last = records[records.length - 1].t;
+        const tid = setTimeout(() => controller.abort(), last + 3000);
+        const abort = () => controller.abort();
+        if (opts.signal) {
+            opts.signal.addEventListener('abort', abort, { once: true });
+        }
+        const params = Object.assign(parseOption(''), open.params, { trace: '', detail: true, signal: controller.signal, emitter: opts.emitter });
+        schedule();
+        const detail = await (params.w ? watch(params, conn) : execute(open.receiptmd || '', params, conn));
+        clearTimeout(tid);
+        if (opts.signal) {
+            opts.signal.removeEventListener('abort', abort);
+        }
+        conn.destroy();
+        results.push({ id: id, recorded: end ? end.result.status : '', replayed: detail });
+    }
+    return results;
+};
+
+/**
+ * Get the options of a printer profile in the configuration file.
+ * @param {string} name profile name
+ * @returns {object} options object of the profile (null if not found)
+ */
+const getProfile = name => {
+    const config = loadConfig();
+    if (config.error) {
+        throw config.error;
+    }
+    return Object.prototype.hasOwnProperty.call(config.profiles, name) ? config.profiles[name] : null;
+};
+
+/**
+ * Close the shared headless browser after rasterization in progress, so that the process can exit.
+ * @returns {Promise<void>}
+ */
+const close = async () => {
+    // wait for pages in use
+    if (chromium.pages > 0) {
+        await new Promise(resolve => chromium.drained.push(resolve));
+    }
+    await dropBrowser();
+};
+
+const sleep = (ms, signal) => {
+
+    return new Promise(resolve => {
+        // abort event
+        const onabort = () => {
+            clearTimeout(tid);
+            resolve();
+        };
+        // set timer
+        const tid = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onabort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onabort, { once: true });
+            if (signal.aborted) {
+                onabort();
+            }
+        }
+    });
+};
+
+const parseOption = options => {
+    // parameters
+    const params = {
+        h: false, // show help
+        P: '', // printer profile
+        d: '', // network address or serial/usb port of target printer
+        o: '', // file to output (if -d option is not present)
+        p: '', // printer control language
+        q: '', // inquire status (printer/drawer/drawer2/info)
+        k: '', // open cash drawer (drawer,on,off)
+        c: '-1', // characters per line
+        u: false, // upside down
+        v: false, // landscape orientation
+        r: '-1', // print resolution for -v
+        s: false, // paper saving
+        n: false, // no paper cut
+        w: false, // watch status
+        a: false, // wait until cash drawer is closed
+        m: '-1,-1', // print margin
+        i: false, // print as image
+        b: '-1', // image thresholding
+        g: '-1', // image gamma correction
+        t: '-1', // print timeout
+        l: new Intl.NumberFormat().resolvedOptions().locale, // language of source file
+        detail: false, // detailed result (options object or --json)
+        f: '', // failover destinations
+        x: '', // failover results (comma separated)
+        banner: '', // banner line of rerouted receipt
+        trace: '', // trace file of printer communication
+        dither: '', // dithering method of images
+        groups: null, // named groups of destinations (options object only)
+        signal: null, // abort signal (options object only)
+        emitter: null // event emitter (options object only)
+    };
+    // printer profile
+    const profile = findProfile(options);
+    if (profile) {
+        try {
+            validateOption(profile.options, profile.params = Object.assign({}, params));
+        }
+        catch (e) {
+            e.message = `Profile "${profile.name}": ${e.message}`;
+            throw e;
+        }
+    }
+    // options object
+    if (typeof options === 'object' && options !== null) {
+        return applyProfile(validateOption(options, profile ? profile.params : params), profile);
+    }
+    const defaults = Object.assign({}, params);
+    // arguments
+    const argv = options ? options.split(' ') : [];
+    // parse arguments
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i];
+        if (/^-[huvsniwa]$/.test(key)) {
+            // option without value
+            params[key[1]] = true;
+        }
+        else if (/^-[df]$/.test(key) && params[key[1]] && i < argv.length - 1 && /^[^-]/.test(argv[i + 1])) {
+            // multiple destinations
+            params[key[1]] = [].concat(params[key[1]], argv[++i]);
+        }
+        else if (/^-[Pdopqkcrmbgtlfx]$/.test(key)) {
+            // option with value
+            if (i < argv.length - 1) {
+                const value = argv[i + 1];
+                if (/^[^-]/.test(value)) {
+                    params[key[1]] = value;
+                    i++;
+                }
+            }
+            // default value of cash drawer
+            if (key[1] === 'k') {
+                params.k = /^[12](,|$)/.test(params.k) ? params.k : '1';
+            }
+            // results to fail over
+            if (key[1] === 'x' && params.x && !params.x.split(',').every(r => failoverResults.includes(r))) {
+                throw new RangeError(`Option "-x" must be comma separated ${failoverResults.join(', ')}: ${JSON.stringify(params.x)}`);
+            }
+            // default value of status inquiry
+            if (key[1] === 'q') {
+                const q = params.q.toLowerCase();
+                params.q = /^(drawer2?|info)$/.test(q) ? q : 'printer';
+                // detailed result of printer information
+                if (q === 'info') {
+                    params.detail = true;
+                }
+            }
+        }
+        else if (key === '--json') {
+            // detailed result
+            params.detail = true;
+        }
+        else if (key === '--banner') {
+            // banner line of rerouted receipt
+            params.banner = 'REROUTED FROM {destination}';
+        }
+        else if (key === '--trace' && i < argv.length - 1) {
+            // trace file of printer communication
+            params.trace = argv[++i];
+        }
+        else if (key === '--dither' && i < argv.length - 1) {
+            // dithering method of images
+            params.dither = argv[++i].toLowerCase();
+        }
+        else {
+            // undefined option
+        }
+    }
+    // explicit options override profile
+    if (profile) {
+        for (const key of Object.keys(params)) {
+            if (params[key] !== defaults[key]) {
+                profile.params[key] = params[key];
+            }
+        }
+        return applyProfile(profile.params, profile);
+    }
+    return params;
+};
+
+// results to fail over
+const failoverResults = [ 'offline', 'disconnect', 'coveropen', 'paperempty', 'error', 'timeout' ];
+
+const findProfile = options => {
+    // profile name or destination
+    let name = '';
+    let required = false;
+    if (typeof options === 'object' && options !== null) {
+        required = typeof options.profile === 'string';
+        name = required ? options.profile : typeof options.destination === 'string' ? options.destination : '';
+    }
+    else if (options) {
+        const argv = options.split(' ');
+        const i = argv.indexOf('-P');
+        const j = argv.indexOf('-d');
+        required = i >= 0 && /^[^-]/.test(argv[i + 1]);
+        name = required ? argv[i + 1] : j >= 0 && /^[^-]/.test(argv[j + 1]) ? argv[j + 1] : '';
+    }
+    if (!name || !required && (/[\\/]/.test(name) || net.isIP(name) || /^tcp:|^\[/i.test(name))) {
+        // network address or device path
+        return null;
+    }
+    // configuration file
+    const config = loadConfig();
+    if (config.error) {
+        if (required) {
+            throw config.error;
+        }
+        // destination as it is
+        return null;
+    }
+    if (Object.prototype.hasOwnProperty.call(config.profiles, name)) {
+        return { name: name, options: config.profiles[name] };
+    }
+    else if (required) {
+        throw new RangeError(`Profile "${name}" is not found in "${config.file}"`);
+    }
+    else {
+        return null;
+    }
+};
+
+// parsed configuration file
+let config = null;
+
+const loadConfig = () => {
+    // configuration file (parsed again when modified)
+    const file = process.env.RECEIPTIO_CONFIG || path.join(os.homedir(), '.receiptio.json');
+    let time = 0;
+    try {
+        time = statSync(file).mtimeMs;
+    }
+    catch (e) {
+        if (e.code === 'ENOENT') {
+            // no profiles
+            return { file: file, profiles: {}, error: null };
+        }
+    }
+    if (!config || config.file !== file || config.time !== time) {
+        config = { file: file, time: time, profiles: {}, error: null };
+        try {
+            config.profiles = JSON.parse(readFileSync(file, 'utf8')).profiles || {};
+        }
+        catch (e) {
+            config.error = new Error(`Invalid configuration file "${file}": ${e.message}`);
+        }
+    }
+    return config;
+};
+
+const applyProfile = (params, profile) => {
+    if (profile) {
+        // profile name as destination
+        if (params.d === profile.name && profile.options.destination) {
+            params.d = [].concat(profile.options.destination);
+            params.d = params.d.length === 1 ? params.d[0] : params.d;
+        }
+        params.P = profile.name;
+    }
+    return params;
+};
+
+const validateOption = (options, params) => {
+    // validate options
+    for (const [ key, value ] of Object.entries(options)) {
+        // check value
+        const expect = (valid, message, type) => {
+            if (!valid) {
+                throw new (type || RangeError)(`Option "${key}" must be ${message}: ${JSON.stringify(value)}`);
+            }
+        };
+        if (value === undefined) {
+            // default value
+            continue;
+        }
+        switch (key) {
+            case 'destination':
+                expect(typeof value === 'string' || Array.isArray(value) && value.length > 0 && value.every(d => typeof d === 'string'), 'a string or an array of strings', TypeError);
+                params.d = value.length === 1 ? value[0] : value;
+                break;
+            case 'profile':
+                expect(typeof value === 'string', 'a string', TypeError);
+                params.P = value;
+                break;
+            case 'failover':
+                expect(typeof value === 'string' || Array.isArray(value) && value.every(d => typeof d === 'string'), 'a string or an array of strings', TypeError);
+                params.f = value.length === 1 ? value[0] : value.length === 0 ? '' : value;
+                break;
+            case 'failoverOn':
+                expect(Array.isArray(value) && value.length > 0 && value.every(r => typeof r === 'string'), 'an array of strings', TypeError);
+                expect(value.every(r => failoverResults.includes(r)), `an array of ${failoverResults.map(r => `"${r}"`).join(', ')}`);
+                params.x = value.join(',');
+                break;
+            case 'banner':
+                expect(typeof value === 'boolean' || typeof value === 'string', 'a boolean or a string', TypeError);
+                params.banner = value === true ? 'REROUTED FROM {destination}' : value || '';
+                break;
+            case 'groups':
+                expect(typeof value === 'object' && value !== null && Object.values(value).every(g => Array.isArray(g) && g.every(d => typeof d === 'string')), 'an object of destination arrays', TypeError);
+                params.groups = value;
+                break;
+            case 'output':
+            case 'language':
+            case 'trace':
+                expect(typeof value === 'string', 'a string', TypeError);
+                params[{ destination: 'd', output: 'o', language: 'l', trace: 'trace' }[key]] = value;
+                break;
+            case 'printer':
+                expect(typeof value === 'string', 'a string', TypeError);
+                expect(/^(svg|png|pbm|te?xt|escpos|epson|sii|citizen|fit|impactb?|generic|star(line|graphic|impact[23]?)?|emustarline)$/i.test(value), 'a supported printer control language');
+                params.p = value;
+                break;
+            case 'inquiry':
+                expect(value === true || typeof value === 'string', 'true or a string', TypeError);
+                expect(value === true || /^(printer|drawer2?|info)$/i.test(value), '"printer", "drawer", "drawer2", or "info"');
+                params.q = value === true ? 'printer' : value.toLowerCase();
+                break;
+            case 'kick': {
+                const k = Array.isArray(value) ? value : [ value === true ? 1 : value ];
+                expect(k.length > 0 && k.length < 4 && k.every(Number.isInteger), 'true, an integer, or an array of [drawer, on, off] integers', TypeError);
+                expect((k[0] === 1 || k[0] === 2) && k.slice(1).every(c => c >= 2 && c <= 800), '1 or 2 with pulse times between 2 and 800');
+                params.k = k.join(',');
+                break;
+            }
+            case 'detail':
+                expect(typeof value === 'boolean', 'a boolean', TypeError);
+                params.detail = value;
+                break;
+            case 'signal':
+                expect(value instanceof AbortSignal, 'an AbortSignal', TypeError);
+                params.signal = value;
+                break;
+            case 'emitter':
+                expect(value !== null && typeof value === 'object' && typeof value.emit === 'function', 'an EventEmitter', TypeError);
+                params.emitter = value;
+                break;
+            case 'upsideDown':
+            case 'landscape':
+            case 'asImage':
+            case 'watch':
+            case 'waitDrawer':
+                expect(typeof value === 'boolean', 'a boolean', TypeError);
+                params[{ upsideDown: 'u', landscape: 'v', asImage: 'i', watch: 'w', waitDrawer: 'a' }[key]] = value;
+                break;
+            case 'spacing':
+            case 'cutting':
+                expect(typeof value === 'boolean', 'a boolean', TypeError);
+                params[{ spacing: 's', cutting: 'n' }[key]] = !value;
+                break;
+            case 'cpl':
+                expect(Number.isInteger(value), 'an integer', TypeError);
+                expect(value >= 24 && value <= 96, 'between 24 and 96');
+                params.c = String(value);
+                break;
+            case 'resolution':
+                expect(typeof value === 'number', 'a number', TypeError);
+                expect(value === 180 || value === 203, '180 or 203');
+                params.r = String(value);
+                break;
+            case 'margin': {
+                const m = Array.isArray(value) ? value : [ value ];
+                expect(m.length > 0 && m.length < 3 && m.every(Number.isInteger), 'an integer or an array of [left, right] integers', TypeError);
+                expect(m.every(c => c >= 0 && c <= 24), 'between 0 and 24');
+                params.m = `${m[0]},${m.length > 1 ? m[1] : 0}`;
+                break;
+            }
+            case 'threshold':
+                expect(Number.isInteger(value), 'an integer', TypeError);
+                expect(value >= 0 && value <= 255, 'between 0 and 255');
+                params.b = String(value);
+                break;
+            case 'gamma':
+                expect(typeof value === 'number', 'a number', TypeError);
+                expect(value >= 0.1 && value <= 10.0, 'between 0.1 and 10.0');
+                params.g = String(value);
+                break;
+            case 'timeout':
+                expect(Number.isInteger(value), 'an integer', TypeError);
+                expect(value >= 0 && value <= 3600, 'between 0 and 3600');
+                params.t = String(value);
+                break;
+            case 'dither':
+                expect(typeof value === 'string', 'a string', TypeError);
+                expect(/^(floyd-steinberg|atkinson|stucki|burkes|bayer|threshold)$/.test(value), '"floyd-steinberg", "atkinson", "stucki", "burkes", "bayer", or "threshold"');
+                params.dither = value;
+                break;
+            default:
+                throw new TypeError(`Unknown option "${key}"`);
+        }
+    }
+    // detailed result of printer information
+    if (params.q === 'info') {
+        params.detail = true;
+    }
+    return params;
+};
+
+const convertOption = (params, connected) => {
+    // language
+    let l = params.l.toLowerCase();
+    l = l.slice(0, /^zh-han[st]/.test(l) ? 7 : 2);
+    // command system
+    let p = params.p.toLowerCase();
+    if (!/^(svg|png|pbm|te?xt|escpos|epson|sii|citizen|fit|impactb?|generic|star(line|graphic|impact[23]?)?|emustarline)$/.test(p)) {
+        const o = params.o.toLowerCase();
+        const ext = /^.+\.(svg|png|pbm|txt)$/.exec(o) || [ '', 'svg' ];
+        p = params.d || connected ? '' : ext[1];
+    }
+    else if (/^(emu)?star(line)?$/.test(p)) {
+        p += `${/^(ja|ko|zh)/.test(l) ? 'm' : 's'}bcs${/^(ko|zh)/.test(l) ? '2' : ''}`;
+    }
+    p = p.replace('txt', 'text');
+    // landscape orientation
+    if (params.v && /^(svg|png|text)$/.test(p)) {
+        throw new RangeError(`Landscape orientation (-v) is not supported for "${p}" output`);
+    }
+    // language to codepage
+    const codepage = {
+        'ja': 'shiftjis', 'ko': 'ksc5601', 'zh': 'gb18030', 'zh-hans': 'gb18030', 'zh-hant': 'big5', 'th': 'tis620'
+    };
+    // string to number
     const c = Number(params.c);
     const m = params.m.split(',').map(c => Number(c));
     const r = Number(params.r);
@@ -836,7 +2742,7 @@ const convertOption = params => {
     const g = Number(params.g);
     // options
     return {
-        asImage: params.i,
+        asImage: params.i || params.v && /^(impactb?|stargraphic|starimpact[23]?)$/.test(p),
         landscape: params.v,
         resolution: r === 180 ? r : 203,
         cpl: c >= 24 && c <= 96 ? Math.trunc(c) : 48,
@@ -844,6 +2750,7 @@ const convertOption = params => {
         gradient: !(b >= 0 && b <= 255),
         gamma: g >= 0.1 && g <= 10.0 ? g : 1.0,
         threshold: b >= 0 && b <= 255 ? Math.trunc(b) : 128,
+        dither: /^(floyd-steinberg|atkinson|stucki|burkes|bayer|threshold)$/.test(params.dither) ? params.dither : '',
         upsideDown: params.u,
         spacing: !params.s,
         cutting: !params.n,
@@ -859,25 +2766,129 @@ const transform = async (receiptmd, printer) => {
         const png = { ...printer, landscape: false, margin: 0, marginRight: 0 };
         return await rasterize(receiptmd, png, 'binary');
     }
-    // convert receiptline to image command
-    if (printer.asImage && (puppeteer || sharp)) {
+    // convert receiptline to monochrome bitmap
+    if (printer.command === 'pbm') {
+        const pbm = { ...printer };
+        const img = dither(PNG.sync.read(Buffer.from(await rasterize(receiptmd, pbm, 'base64'), 'base64')), printer);
+        // print area with margins
+        const m = pbm.margin * receiptline.commands.svg.charWidth;
+        const w = m + img.width + pbm.marginRight * receiptline.commands.svg.charWidth;
+        const bytes = w + 7 >> 3;
+        const data = Buffer.alloc(bytes * img.height);
+        for (let y = 0; y < img.height; y++) {
+            for (let x = 0; x < img.width; x++) {
+                if (img.data[(y * img.width + x) * 4] === 0) {
+                    data[y * bytes + (m + x >> 3)] |= 128 >> (m + x & 7);
+                }
+            }
+        }
+        return `P4\n# ${printer.resolution} dpi\n${w} ${img.height}\n` + data.toString('binary');
+    }
+    // convert receiptline to image command (landscape orientation without page mode)
+    if (printer.asImage || printer.landscape && !landscape[printer.command]) {
         receiptmd = `|{i:${await rasterize(receiptmd, printer, 'base64')}}`;
-        return receiptline.transform(receiptmd, printer);
+        return receiptline.transform(receiptmd, dithering(printer));
     }
     // convert receiptline to command
-    if (printer.landscape && /^(escpos|epson|sii|citizen|star[sm]bcs2?)$/.test(printer.command)) {
+    if (printer.landscape && landscape[printer.command]) {
         // landscape orientation
         printer.command = Object.assign({}, receiptline.commands[printer.command], ...landscape[printer.command]);
     }
-    return receiptline.transform(receiptmd, printer);
+    return receiptline.transform(receiptmd, dithering(printer));
 };
 
-const rasterize = async (receiptmd, printer, encoding) => {
-    // convert receiptline to png
-    const c = receiptline.commands.svg.charWidth;
-    if (puppeteer) {
-        const display = Object.assign({}, printer, { command: 'svg' });
-        const svg = receiptline.transform(receiptmd, display);
+// error diffusion kernels: [ divisor, [ dx, dy, weight ], ... ]
+const kernels = {
+    '': [ 16, [ 1, 0, 5 ], [ -1, 1, 1 ], [ 0, 1, 7 ], [ 1, 1, 3 ] ], // built-in error diffusion of printer commands
+    'floyd-steinberg': [ 16, [ 1, 0, 7 ], [ -1, 1, 3 ], [ 0, 1, 5 ], [ 1, 1, 1 ] ],
+    'atkinson': [ 8, [ 1, 0, 1 ], [ 2, 0, 1 ], [ -1, 1, 1 ], [ 0, 1, 1 ], [ 1, 1, 1 ], [ 0, 2, 1 ] ],
+    'stucki': [ 42, [ 1, 0, 8 ], [ 2, 0, 4 ], [ -2, 1, 2 ], [ -1, 1, 4 ], [ 0, 1, 8 ], [ 1, 1, 4 ], [ 2, 1, 2 ], [ -2, 2, 1 ], [ -1, 2, 2 ], [ 0, 2, 4 ], [ 1, 2, 2 ], [ 2, 2, 1 ] ],
+    'burkes': [ 32, [ 1, 0, 8 ], [ 2, 0, 4 ], [ -2, 1, 2 ], [ -1, 1, 4 ], [ 0, 1, 8 ], [ 1, 1, 4 ], [ 2, 1, 2 ] ]
+};
+
+// 8x8 bayer matrix
+const bayer = [
+    0, 32, 8, 40, 2, 34, 10, 42, 48, 16, 56, 24, 50, 18, 58, 26, 12, 44, 4, 36, 14, 46, 6, 38, 60, 28, 52, 20, 62, 30, 54, 22,
+    3, 35, 11, 43, 1, 33, 9, 41, 51, 19, 59, 27, 49, 17, 57, 25, 15, 47, 7, 39, 13, 45, 5, 37, 63, 31, 55, 23, 61, 29, 53, 21
+];
+
+const dithering = printer => {
+    // built-in dithering of printer command
+    if (!printer.dither || /^(svg|png|pbm|text)$/.test(printer.command)) {
+        return printer;
+    }
+    const command = typeof printer.command === 'object' ? printer.command : receiptline.commands[printer.command];
+    // threshold black and white pixels as they are
+    return Object.assign({}, printer, {
+        gradient: false,
+        gamma: 1.0,
+        threshold: 128,
+        command: Object.assign({}, command, {
+            // print image with black and white pixels
+            image: function (image, ...args) {
+                let png;
+                try {
+                    png = PNG.sync.read(Buffer.from(image, 'base64'));
+                }
+                catch (e) {
+                    // leave invalid image to printer command
+                    return command.image.call(this, image, ...args);
+                }
+                return command.image.call(this, PNG.sync.write(dither(png, printer)).toString('base64'), ...args);
+            }
+        })
+    });
+};
+
+const dither = (img, printer) => {
+    // convert image to black and white
+    const w = img.width;
+    const h = img.height;
+    const t = printer.threshold;
+    const method = printer.dither || (printer.gradient ? '' : 'threshold');
+    const k = kernels[method];
+    // luminance with gamma correction
+    const v = new Float64Array(w * h);
+    for (let i = 0, j = 0; i < v.length; i++, j += 4) {
+        v[i] = Math.pow(((img.data[j] * .299 + img.data[j + 1] * .587 + img.data[j + 2] * .114 - 255) * img.data[j + 3] + 65525) / 65525, 1 / printer.gamma) * 255;
+    }
+    for (let y = 0, i = 0; y < h; y++) {
+        for (let x = 0; x < w; x++, i++) {
+            let black;
+            if (k) {
+                // error diffusion
+                const f = Math.floor(v[i]);
+                black = f < t;
+                const e = black ? f : f - 255;
+                for (let n = 1; n < k.length; n++) {
+                    const [ dx, dy, weight ] = k[n];
+                    if (x + dx >= 0 && x + dx < w && y + dy < h) {
+                        v[i + dy * w + dx] += e * weight / k[0];
+                    }
+                }
+            }
+            else if (method === 'bayer') {
+                // ordered dithering
+                black = v[i] < (bayer[(y & 7) << 3 | x & 7] + 0.5) * 4 + t - 128;
+            }
+            else {
+                // thresholding
+                black = v[i] < t;
+            }
+            const p = i << 2;
+            img.data.fill(black ? 0 : 255, p, p + 3);
+            img.data[p + 3] = 255;
+        }
+    }
+    return img;
+};
+
+const rasterize = async (receiptmd, printer, encoding) => {
+    // convert receiptline to png
+    const c = receiptline.commands.svg.charWidth;
+    if (puppeteer) {
+        const display = Object.assign({}, printer, { command: 'svg' });
+        const svg = receiptline.transform(receiptmd, display);
         const w = Number(svg.match(/width="(\d+)px"/)[1]);
         const h = Number(svg.match(/height="(\d+)px"/)[1]);
         const v = { width: w, height: h };
@@ -890,49 +2901,1222 @@ const rasterize = async (receiptmd, printer, encoding) => {
             t = `svg{padding-left:${m}px;padding-right:${n}px;transform-origin:top left;transform:rotate(-90deg) translateX(-${v.height}px)}`;
             Object.assign(printer, { cpl: Math.ceil(h / 12), margin: 0, marginRight: 0 });
         }
-        const browser = await puppeteer.launch({ defaultViewport: v, headless: 'new' });
-        const page = await browser.newPage();
-        await page.setContent(`<!DOCTYPE html><html><head><meta charset="utf-8"><style>*{margin:0;background:transparent}${t}</style></head><body>${svg}</body></html>`);
-        const png = await page.screenshot({ encoding: encoding, omitBackground: true });
-        await browser.close();
-        return png;
-    }
-    else if (sharp) {
-        const display = Object.assign({}, printer, { command: svgsharp });
-        const svg = receiptline.transform(receiptmd, display);
-        const h = Number(svg.match(/height="(\d+)px"/)[1]);
-        const x = { background: 'transparent' };
-        let r = 0;
-        if (printer.landscape) {
-            x.bottom = printer.margin * c || 0;
-            x.top = printer.marginRight * c || 0;
-            r = -90;
-            Object.assign(printer, { cpl: Math.ceil(h / 12), margin: 0, marginRight: 0 });
+        for (let retry = 0; ; retry++) {
+            // page of shared browser
+            const page = await openPage();
+            try {
+                await page.setViewport(v);
+                await page.setContent(`<!DOCTYPE html><html><head><meta charset="utf-8"><style>*{margin:0;background:transparent}${t}</style></head><body>${svg}</body></html>`);
+                return await page.screenshot({ encoding: encoding, omitBackground: true });
+            }
+            catch (e) {
+                // crashed browser
+                const browser = page.browser();
+                if ('connected' in browser ? !browser.connected : !browser.isConnected()) {
+                    await dropBrowser(browser);
+                }
+                if (retry > 0) {
+                    throw e;
+                }
+                // retry once with new page
+            }
+            finally {
+                await closePage(page);
+            }
+        }
+    }
+    else if (sharp) {
+        const display = Object.assign({}, printer, { command: svgsharp });
+        const svg = receiptline.transform(receiptmd, display);
+        const h = Number(svg.match(/height="(\d+)px"/)[1]);
+        const x = { background: 'transparent' };
+        let r = 0;
+        if (printer.landscape) {
+            x.bottom = printer.margin * c || 0;
+            x.top = printer.marginRight * c || 0;
+            r = -90;
+            Object.assign(printer, { cpl: Math.ceil(h / 12), margin: 0, marginRight: 0 });
+        }
+        return (await sharp(Buffer.from(svg)).rotate(r).extend(x).toFormat('png').toBuffer()).toString(encoding);
+    }
+    else {
+        // built-in rasterizer with bitmap font
+        const display = Object.assign({}, printer, { command: raster });
+        const png = Buffer.from(receiptline.transform(receiptmd, display), 'binary');
+        if (!printer.landscape) {
+            return png.toString(encoding);
+        }
+        // rotate -90 degrees and add margins
+        const img = PNG.sync.read(png);
+        const m = printer.margin * c || 0;
+        const n = printer.marginRight * c || 0;
+        const r = new PNG({ width: img.height, height: n + img.width + m });
+        for (let y = 0; y < img.height; y++) {
+            for (let x = 0; x < img.width; x++) {
+                const i = (y * img.width + x) * 4;
+                img.data.copy(r.data, ((n + img.width - 1 - x) * r.width + y) * 4, i, i + 4);
+            }
+        }
+        Object.assign(printer, { cpl: Math.ceil(img.height / 12), margin: 0, marginRight: 0 });
+        return PNG.sync.write(r).toString(encoding);
+    }
+};
+
+// shared headless browser
+const chromium = {
+    browser: null, // launching or launched browser (promise)
+    pages: 0, // pages in use
+    limit: 4, // maximum number of pages
+    idle: 30000, // idle shutdown (msec)
+    timer: null, // idle timer
+    waiting: [], // waiting for a page
+    drained: [] // waiting for all pages to be closed
+};
+
+const openPage = async () => {
+    // cancel idle shutdown
+    clearTimeout(chromium.timer);
+    // concurrency limit
+    if (chromium.pages < chromium.limit) {
+        chromium.pages++;
+    }
+    else {
+        await new Promise(resolve => chromium.waiting.push(resolve));
+    }
+    try {
+        // launch on first use or after crash
+        if (!chromium.browser) {
+            const launch = chromium.browser = puppeteer.launch({ headless: 'new' });
+            launch.then(browser => browser.once('disconnected', () => {
+                if (chromium.browser === launch) {
+                    chromium.browser = null;
+                }
+            }), () => {
+                if (chromium.browser === launch) {
+                    chromium.browser = null;
+                }
+            });
+        }
+        return await (await chromium.browser).newPage();
+    }
+    catch (e) {
+        await closePage(null);
+        throw e;
+    }
+};
+
+const closePage = async page => {
+    if (page) {
+        await page.close().catch(() => {});
+    }
+    // hand over to waiting job
+    const next = chromium.waiting.shift();
+    if (next) {
+        next();
+        return;
+    }
+    chromium.pages--;
+    if (chromium.pages === 0) {
+        // idle shutdown
+        chromium.timer = setTimeout(() => dropBrowser(), chromium.idle);
+        chromium.timer.unref();
+        chromium.drained.splice(0).forEach(resolve => resolve());
+    }
+};
+
+const dropBrowser = async browser => {
+    clearTimeout(chromium.timer);
+    const launch = chromium.browser;
+    if (!launch) {
+        return;
+    }
+    const b = await launch.catch(() => null);
+    if (browser && b !== browser) {
+        // already relaunched
+        return;
+    }
+    if (chromium.browser === launch) {
+        chromium.browser = null;
+    }
+    if (b) {
+        await b.close().catch(() => {});
+    }
+};
+
+const decodeStatus = {
+    // escpos: automatic status
+    escpos: buf => ({
+        online: (buf[0] & 0x08) === 0,
+        coverOpen: (buf[0] & 0x20) === 0x20,
+        paperEmpty: (buf[2] & 0x0c) === 0x0c,
+        paperNearEnd: (buf[2] & 0x03) !== 0,
+        error: (buf[1] & 0x2c) !== 0,
+        recoverableError: (buf[1] & 0x04) === 0x04,
+        cutterError: (buf[1] & 0x08) === 0x08,
+        unrecoverableError: (buf[1] & 0x20) === 0x20,
+        autoRecoverableError: (buf[1] & 0x40) === 0x40,
+        drawerOpen: (buf[0] & 0x04) === 0
+    }),
+    // escpos: realtime status (DLE EOT 1, DLE EOT 2, DLE EOT 3, DLE EOT 4)
+    realtime: buf => ({
+        online: (buf[0] & 0x08) === 0,
+        coverOpen: (buf[1] & 0x04) === 0x04,
+        paperEmpty: (buf[3] & 0x60) === 0x60,
+        paperNearEnd: (buf[3] & 0x0c) !== 0,
+        error: (buf[1] & 0x40) === 0x40,
+        recoverableError: (buf[2] & 0x04) === 0x04,
+        cutterError: (buf[2] & 0x08) === 0x08,
+        unrecoverableError: (buf[2] & 0x20) === 0x20,
+        autoRecoverableError: (buf[2] & 0x40) === 0x40,
+        drawerOpen: (buf[0] & 0x04) === 0
+    }),
+    // sii: automatic status
+    sii: buf => ({
+        online: null,
+        coverOpen: (buf[1] & 0xf8) === 0xd8,
+        paperEmpty: (buf[1] & 0xf1) === 0xd1,
+        paperNearEnd: null,
+        error: (buf[0] & 0x0b) !== 0,
+        recoverableError: null,
+        cutterError: null,
+        unrecoverableError: null,
+        autoRecoverableError: null,
+        drawerOpen: (buf[3] & 0xf8) !== 0xd8
+    }),
+    // star: realtime status, automatic status
+    star: buf => ({
+        online: (buf[2] & 0x08) === 0,
+        coverOpen: (buf[2] & 0x20) === 0x20,
+        paperEmpty: (buf[5] & 0x08) === 0x08,
+        paperNearEnd: (buf[5] & 0x04) === 0x04,
+        error: (buf[3] & 0x2c) !== 0 || (buf[4] & 0x0a) !== 0,
+        recoverableError: (buf[3] & 0x04) === 0x04,
+        cutterError: (buf[3] & 0x08) === 0x08,
+        unrecoverableError: (buf[3] & 0x20) === 0x20,
+        autoRecoverableError: (buf[3] & 0x40) === 0x40,
+        drawerOpen: (buf[2] & 0x04) === 0x04
+    })
+};
+
+// virtual printers
+const emulation = {
+    epson: { protocol: 'escpos', manufacturer: 'EPSON', model: 'TM-T88V', firmware: '30.12 ESC/POS', serial: 'EMULATOR0001', fonts: 'ANK' },
+    citizen: { protocol: 'escpos', manufacturer: 'CITIZEN', model: 'CT-S310II', firmware: '1.00', serial: 'EMULATOR0001', fonts: 'ANK' },
+    fit: { protocol: 'escpos', manufacturer: 'FIT', model: 'FP-1000', firmware: '1.00', serial: 'EMULATOR0001', fonts: 'ANK' },
+    sii: { protocol: 'sii', manufacturer: 'SII', model: 'RP-F10', firmware: '1.00', serial: 'EMULATOR0001', fonts: 'ANK' },
+    star: { protocol: 'star', manufacturer: 'STAR', model: 'TSP100IV', firmware: '1.0', serial: '', fonts: '' }
+};
+
+// command length (0: incomplete)
+const commandLength = {
+    // escpos, sii
+    escpos: (buf, i) => {
+        const n = buf.length - i;
+        const len = l => l <= n ? l : 0;
+        const c = buf[i], d = buf[i + 1];
+        if (c === 0x10 || c === 0x12 || c === 0x1b || c === 0x1c || c === 0x1d) {
+            if (n < 2) {
+                return 0;
+            }
+        }
+        switch (c) {
+            case 0x10:
+                // DLE EOT n, DLE ENQ n, DLE DC4 fn m t
+                return len(d === 0x14 ? 5 : d === 0x04 || d === 0x05 ? 3 : 2);
+            case 0x12:
+                // DC2 q n
+                return d === 0x71 ? len(3) : 1;
+            case 0x1b:
+                switch (d) {
+                    case 0x0c: case 0x32: case 0x40: case 0x4c: case 0x53:
+                        // ESC FF, ESC 2, ESC @, ESC L, ESC S
+                        return 2;
+                    case 0x57:
+                        // ESC W xL xH yL yH dxL dxH dyL dyH
+                        return len(10);
+                    case 0x24: case 0x5c:
+                        // ESC $ nL nH, ESC \ nL nH
+                        return len(4);
+                    case 0x70:
+                        // ESC p m t1 t2
+                        return len(5);
+                    case 0x2a:
+                        // ESC * m nL nH d1 ... dk
+                        return n < 5 ? 0 : len(5 + (buf[i + 3] | buf[i + 4] << 8) * (buf[i + 2] < 32 ? 1 : 3));
+                    default:
+                        // ESC x n
+                        return len(3);
+                }
+            case 0x1c:
+                switch (d) {
+                    case 0x26: case 0x2e:
+                        // FS &, FS .
+                        return 2;
+                    case 0x28:
+                        // FS ( fn pL pH ...
+                        return n < 5 ? 0 : len(5 + (buf[i + 3] | buf[i + 4] << 8));
+                    case 0x53:
+                        // FS S n1 n2
+                        return len(4);
+                    default:
+                        // FS x n
+                        return len(3);
+                }
+            case 0x1d:
+                switch (d) {
+                    case 0x28:
+                        // GS ( fn pL pH ...
+                        return n < 5 ? 0 : len(5 + (buf[i + 3] | buf[i + 4] << 8));
+                    case 0x38:
+                        // GS 8 L p1 p2 p3 p4 ...
+                        return n < 7 ? 0 : len(7 + (buf[i + 3] | buf[i + 4] << 8 | buf[i + 5] << 16 | buf[i + 6] << 24));
+                    case 0x24: case 0x4c: case 0x50: case 0x57: case 0x5c:
+                        // GS $ nL nH, GS L nL nH, GS P x y, GS W nL nH, GS \ nL nH
+                        return len(4);
+                    case 0x56:
+                        // GS V m (n)
+                        return n < 3 ? 0 : len(buf[i + 2] > 0x40 ? 4 : 3);
+                    case 0x6b:
+                        // GS k m d1 ... dk NUL, GS k m n d1 ... dn
+                        if (n < 4) {
+                            return 0;
+                        }
+                        if (buf[i + 2] < 0x41) {
+                            const z = buf.indexOf(0, i + 3);
+                            return z < 0 ? 0 : z - i + 1;
+                        }
+                        return len(4 + buf[i + 3]);
+                    case 0x76:
+                        // GS v 0 m xL xH yL yH d1 ... dk
+                        return n < 8 ? 0 : len(8 + (buf[i + 4] | buf[i + 5] << 8) * (buf[i + 6] | buf[i + 7] << 8));
+                    default:
+                        // GS x n
+                        return len(3);
+                }
+            default:
+                // character or other control
+                return 1;
+        }
+    },
+    // star
+    star: (buf, i) => {
+        const n = buf.length - i;
+        const len = l => l <= n ? l : 0;
+        const c = buf[i], d = buf[i + 1];
+        if (c === 0x10) {
+            // DLE EOT n
+            return n < 2 ? 0 : len(d === 0x04 ? 3 : 2);
+        }
+        if (c !== 0x1b) {
+            // character or other control
+            return 1;
+        }
+        if (n < 2) {
+            return 0;
+        }
+        switch (d) {
+            case 0x1d:
+                if (n < 3) {
+                    return 0;
+                }
+                switch (buf[i + 2]) {
+                    case 0x03:
+                        // ESC GS ETX s n1 n2
+                        return len(6);
+                    case 0x41: case 0x52:
+                        // ESC GS A n1 n2, ESC GS R n1 n2
+                        return len(5);
+                    case 0x50:
+                        // ESC GS P n ...
+                        return n < 4 ? 0 : len({ 0x32: 5, 0x33: 12, 0x34: 6 }[buf[i + 3]] || 4);
+                    case 0x53:
+                        // ESC GS S m xL xH yL yH n d1 ... dk
+                        return n < 9 ? 0 : len(9 + (buf[i + 4] | buf[i + 5] << 8) * (buf[i + 6] | buf[i + 7] << 8));
+                    case 0x79:
+                        // ESC GS y D 1 m nL nH d1 ... dk, ESC GS y S n1 n2, ESC GS y P
+                        if (n < 4) {
+                            return 0;
+                        }
+                        return buf[i + 3] === 0x44 ? n < 8 ? 0 : len(8 + (buf[i + 6] | buf[i + 7] << 8)) : len(buf[i + 3] === 0x53 ? 6 : 4);
+                    default:
+                        // ESC GS x n
+                        return len(4);
+                }
+            case 0x1e: case 0x69: case 0x73: case 0x07:
+                // ESC RS x n, ESC i n1 n2, ESC s n1 n2, ESC BEL n1 n2
+                return len(4);
+            case 0x23:
+                // ESC # * LF NUL
+                return len(5);
+            case 0x6b:
+                // ESC k n1 n2 d1 ... dk
+                return n < 4 ? 0 : len(4 + (buf[i + 2] | buf[i + 3] << 8) * 24);
+            case 0x62: {
+                // ESC b n1 n2 n3 n4 d1 ... dk RS
+                const z = buf.indexOf(0x1e, i + 6);
+                return z < 0 ? 0 : z - i + 1;
+            }
+            case 0x30: case 0x34: case 0x35: case 0x40: case 0x45: case 0x46:
+                // ESC 0, ESC 4, ESC 5, ESC @, ESC E, ESC F
+                return 2;
+            default:
+                // ESC x n
+                return len(3);
+        }
+    }
+};
+
+// rule characters of katakana code page
+const katakana = { 0x8f: '┼', 0x90: '┴', 0x91: '┬', 0x92: '┤', 0x93: '├', 0x95: '─', 0x96: '│', 0x98: '┌', 0x99: '┐', 0x9a: '└', 0x9b: '┘', 0x9c: '┌', 0x9d: '┐', 0x9e: '└', 0x9f: '┘' };
+
+// human readable interpretation of code128 data (GS k m n d1 ... dn)
+const code128 = (body, values) => {
+    let r = '', set = 'B';
+    for (let i = 0; i < body.length; i++) {
+        const c = body[i];
+        if (values) {
+            // symbol character values
+            if (c >= 103) {
+                set = 'ABC'[c - 103];
+            }
+            else if (set === 'C') {
+                r += c < 100 ? String(c).padStart(2, '0') : '';
+                set = c === 100 ? 'B' : c === 101 ? 'A' : set;
+            }
+            else if (c < 96) {
+                r += $(set === 'A' && c >= 64 ? c - 64 : c + 32);
+            }
+            else {
+                set = c === 99 ? 'C' : set === 'A' && c === 100 ? 'B' : set === 'B' && c === 101 ? 'A' : set;
+            }
+        }
+        else if (c === 0x7b && i + 1 < body.length) {
+            // code set, shift, or function
+            const f = $(body[++i]);
+            if (/[ABC]/.test(f)) {
+                set = f;
+            }
+            else if (f === '{') {
+                r += f;
+            }
+        }
+        else {
+            r += set === 'C' ? String(c).padStart(2, '0') : $(c);
+        }
+    }
+    return r;
+};
+
+const renderSVG = (data, protocol, options) => {
+    // code pages
+    const pages = protocol === 'star'
+        ? { 0: 'cp437', 1: 'cp437', 4: 'cp858', 5: 'cp852', 6: 'cp860', 8: 'cp863', 9: 'cp865', 10: 'cp866', 32: 'cp1252', 97: 'tis620' }
+        : { 0: 'cp437', 1: 'katakana', 3: 'cp860', 4: 'cp863', 5: 'cp865', 16: 'cp1252', 17: 'cp866', 18: 'cp852', 19: 'cp858', 21: 'tis620' };
+    // multibyte encoding of language
+    let l = options.language.toLowerCase();
+    l = l.slice(0, /^zh-han[st]/.test(l) ? 7 : 2);
+    const mbcs = { 'ja': 'shiftjis', 'ko': 'ksc5601', 'zh': 'gb18030', 'zh-hans': 'gb18030', 'zh-hant': 'big5' }[l] || '';
+    // svg commands of receiptline (positions in characters of 12 dots)
+    const svg = Object.assign({}, receiptline.commands.svg);
+    const encoding = mbcs || 'multilingual';
+    svg.open({ cpl: options.cpl, encoding: encoding, spacing: false });
+    // paper
+    const paper = options.cpl * 12;
+    // print settings
+    const s = { left: 0, width: paper, align: 0, x: 0, spacing: 30, w: 1, h: 1, bold: false, ul: false, iv: false, page: 'cp437', kanji: false, sjis: false, korean: false, bar: { w: 3, h: 162, hri: false }, qr: { cell: 3, level: 'l', data: '' } };
+    const reset = () => Object.assign(s, { left: 0, width: paper, align: 0, x: 0, spacing: 30, w: 1, h: 1, bold: false, ul: false, iv: false, page: 'cp437', kanji: protocol === 'star' && /^(gb18030|big5|ksc5601)$/.test(mbcs), sjis: false, korean: false });
+    reset();
+    // current line
+    let line = [];
+    // current text
+    let run = null;
+    // stored graphics
+    let graphics = null;
+    // text alignment offset
+    const offset = w => s.left + (s.align === 1 ? Math.max(s.width - w, 0) / 2 : s.align === 2 ? Math.max(s.width - w, 0) : 0);
+    // feed line
+    const feed = minimum => {
+        const dx = offset(line.reduce((a, t) => Math.max(a, t.x + t.width), 0));
+        svg.area(0, options.cpl, 0);
+        for (const t of line) {
+            svg.normal();
+            if (t.ul) {
+                svg.ul();
+            }
+            if (t.bold) {
+                svg.em();
+            }
+            if (t.iv) {
+                svg.iv();
+            }
+            if (t.w > 1 || t.h > 1) {
+                svg.wh(t.h > 1 ? t.w > 1 ? 3 : 2 : 1);
+            }
+            svg.absolute((dx + t.x) / 12);
+            svg.text(t.text, encoding);
+        }
+        svg.normal();
+        svg.feedMinimum = line.length > 0 ? s.spacing : Math.max(s.spacing, minimum || 0);
+        svg.lf();
+        line = [];
+        run = null;
+        s.x = 0;
+    };
+    // add text
+    const text = (chars, width) => {
+        if (run && run.x + run.width === s.x && run.w === s.w && run.h === s.h && run.bold === s.bold && run.ul === s.ul && run.iv === s.iv) {
+            run.text += chars;
+            run.width += width * s.w;
+        }
+        else {
+            run = { x: s.x, text: chars, width: width * s.w, w: s.w, h: s.h, bold: s.bold, ul: s.ul, iv: s.iv };
+            line.push(run);
+        }
+        s.x += width * s.w;
+    };
+    // print area and alignment of images and symbols
+    const place = () => {
+        if (line.length > 0) {
+            feed();
+        }
+        svg.area(s.left / 12, s.width / 12, 0);
+        svg.align(s.align);
+        s.x = 0;
+    };
+    // print image
+    const image = (bytes, w, h) => {
+        place();
+        if (w > 0 && h > 0) {
+            const png = new PNG({ width: w, height: h });
+            const r = w + 7 >> 3;
+            for (let j = 0; j < h; j++) {
+                for (let i = 0; i < w; i++) {
+                    const k = (j * w + i) * 4;
+                    png.data[k + 3] = bytes[j * r + (i >> 3)] & 128 >> (i & 7) ? 255 : 0;
+                }
+            }
+            svg.image(PNG.sync.write(png).toString('base64'));
+        }
+    };
+    // print barcode
+    const barcode = symbol => {
+        place();
+        svg.barcode(Object.assign(symbol, { width: Math.min(Math.max(symbol.width, 2), 4), height: Math.min(Math.max(symbol.height, 24), 240) }), encoding);
+    };
+    // print 2D code
+    const qrcode = () => {
+        place();
+        svg.qrcode({ data: s.qr.data, type: 'qrcode', cell: Math.min(Math.max(s.qr.cell, 3), 8), level: s.qr.level }, encoding);
+    };
+    // cut paper
+    const cut = () => {
+        if (line.length > 0) {
+            feed();
+        }
+        svg.cut();
+    };
+    // decode characters
+    const decode = (i, end) => {
+        const c = data[i];
+        let n = 1;
+        if (s.kanji && c > 0x80) {
+            const enc = s.korean ? 'ksc5601' : s.sjis ? 'shiftjis' : mbcs || 'gb18030';
+            n = enc === 'shiftjis' && c >= 0xa0 && c < 0xe0 ? 1 : enc === 'gb18030' && data[i + 1] >= 0x30 && data[i + 1] <= 0x39 ? 4 : 2;
+            n = Math.min(n, end - i);
+            text(iconv.decode(data.subarray(i, i + n), enc), n > 1 ? 24 : 12);
+        }
+        else if (c === 0) {
+            // thai character prefix
+        }
+        else if (s.page === 'katakana' && katakana[c]) {
+            text(katakana[c], 12);
+        }
+        else if (c >= 0x20) {
+            text(iconv.decode(data.subarray(i, i + 1), s.page === 'katakana' ? 'shiftjis' : s.page), 12);
+        }
+        return n;
+    };
+    // process commands
+    const escpos = protocol !== 'star';
+    let i = 0;
+    while (i < data.length) {
+        const l = commandLength[escpos ? 'escpos' : 'star'](data, i) || data.length - i;
+        const [ c, d, e ] = data.subarray(i, i + 3);
+        const u16 = k => data[i + k] | data[i + k + 1] << 8;
+        if (c === 0x0a) {
+            // LF
+            feed();
+        }
+        else if (l === 1 && c >= 0x20 || c === 0) {
+            // characters
+            i += decode(i, data.length);
+            continue;
+        }
+        else if (escpos) {
+            switch (c << 8 | d) {
+                case 0x1b40:
+                    // ESC @
+                    reset();
+                    break;
+                case 0x1b21:
+                    // ESC ! n
+                    s.bold = (e & 0x08) > 0;
+                    s.h = e & 0x10 ? 2 : 1;
+                    s.w = e & 0x20 ? 2 : 1;
+                    s.ul = (e & 0x80) > 0;
+                    break;
+                case 0x1b2d:
+                case 0x1c2d:
+                    // ESC - n, FS - n
+                    s.ul = (e & 0x03) > 0;
+                    break;
+                case 0x1b45:
+                    // ESC E n
+                    s.bold = (e & 0x01) > 0;
+                    break;
+                case 0x1d42:
+                    // GS B n
+                    s.iv = (e & 0x01) > 0;
+                    break;
+                case 0x1d21:
+                    // GS ! n
+                    s.w = (e >> 4 & 7) + 1;
+                    s.h = (e & 7) + 1;
+                    break;
+                case 0x1b61:
+                    // ESC a n
+                    s.align = e & 0x03;
+                    break;
+                case 0x1b32:
+                    // ESC 2
+                    s.spacing = 30;
+                    break;
+                case 0x1b33:
+                    // ESC 3 n
+                    s.spacing = e;
+                    break;
+                case 0x1b4a:
+                    // ESC J n
+                    feed(e);
+                    break;
+                case 0x1b64:
+                    // ESC d n
+                    for (let k = 0; k < e; k++) {
+                        feed(24);
+                    }
+                    break;
+                case 0x1b74:
+                    // ESC t n
+                    s.page = pages[e] || 'cp437';
+                    break;
+                case 0x1b52:
+                    // ESC R n
+                    s.korean = e === 13;
+                    break;
+                case 0x1c43:
+                    // FS C n
+                    s.sjis = (e & 0x01) > 0;
+                    s.kanji = s.sjis;
+                    break;
+                case 0x1c26:
+                    // FS &
+                    s.kanji = true;
+                    break;
+                case 0x1c2e:
+                    // FS .
+                    s.kanji = false;
+                    break;
+                case 0x1b24:
+                    // ESC $ nL nH
+                    s.x = u16(2);
+                    break;
+                case 0x1b5c:
+                    // ESC \ nL nH
+                    s.x += u16(2) << 16 >> 16;
+                    break;
+                case 0x1d4c:
+                    // GS L nL nH
+                    s.left = u16(2);
+                    break;
+                case 0x1d57:
+                    // GS W nL nH
+                    s.width = u16(2);
+                    break;
+                case 0x1d56:
+                    // GS V m
+                    cut();
+                    break;
+                case 0x1d77:
+                    // GS w n
+                    s.bar.w = e;
+                    break;
+                case 0x1d68:
+                    // GS h n
+                    s.bar.h = e;
+                    break;
+                case 0x1d48:
+                    // GS H n
+                    s.bar.hri = (e & 0x03) > 0;
+                    break;
+                case 0x1d6b: {
+                    // GS k m d1 ... dk NUL, GS k m n d1 ... dn
+                    const body = e < 0x41 ? data.subarray(i + 3, i + l - 1) : data.subarray(i + 4, i + l);
+                    const type = [ 'upc', 'upc', 'ean', 'ean', 'code39', 'itf', 'codabar', 'code93', 'code128' ][e < 0x41 ? e : e - 0x41] || 'code128';
+                    const text = e === 73 ? code128(body, protocol === 'sii') : body.toString('latin1');
+                    barcode({ data: text, type: type, width: s.bar.w, height: s.bar.h, hri: s.bar.hri });
+                    break;
+                }
+                case 0x1d38:
+                    // GS 8 L p1 p2 p3 p4 m fn a bx by c xL xH yL yH d1 ... dk
+                    if (data[i + 8] === 0x70) {
+                        graphics = { w: u16(13), h: u16(15), bytes: data.subarray(i + 17, i + l) };
+                    }
+                    break;
+                case 0x1d28:
+                    // GS ( L pL pH m fn ..., GS ( k pL pH cn fn ...
+                    if (e === 0x4c && data[i + 6] === 0x70) {
+                        graphics = { w: u16(11), h: u16(13), bytes: data.subarray(i + 15, i + l) };
+                    }
+                    else if (e === 0x4c && (data[i + 6] === 0x32 || data[i + 6] === 0x02) && graphics) {
+                        image(graphics.bytes, graphics.w, graphics.h);
+                    }
+                    else if (e === 0x6b && data[i + 6] === 0x43) {
+                        // cell size
+                        s.qr.cell = data[i + 7];
+                    }
+                    else if (e === 0x6b && data[i + 6] === 0x45) {
+                        // error correction level
+                        s.qr.level = 'lmqh'[data[i + 7] - 48] || 'l';
+                    }
+                    else if (e === 0x6b && data[i + 6] === 0x50) {
+                        // store data
+                        s.qr.data = iconv.decode(data.subarray(i + 8, i + l), mbcs || 'latin1');
+                    }
+                    else if (e === 0x6b && data[i + 6] === 0x51) {
+                        // print symbol
+                        qrcode();
+                    }
+                    break;
+                case 0x1d76:
+                    // GS v 0 m xL xH yL yH d1 ... dk
+                    image(data.subarray(i + 8, i + l), u16(4) * 8, u16(6));
+                    break;
+                default:
+                    break;
+            }
+        }
+        else {
+            switch (c << 8 | d) {
+                case 0x1b40:
+                    // ESC @
+                    reset();
+                    break;
+                case 0x1b69:
+                    // ESC i n1 n2
+                    s.h = e + 1;
+                    s.w = data[i + 3] + 1;
+                    break;
+                case 0x1b45:
+                    // ESC E
+                    s.bold = true;
+                    break;
+                case 0x1b46:
+                    // ESC F
+                    s.bold = false;
+                    break;
+                case 0x1b2d:
+                    // ESC - n
+                    s.ul = (e & 0x01) > 0;
+                    break;
+                case 0x1b34:
+                    // ESC 4
+                    s.iv = true;
+                    break;
+                case 0x1b35:
+                    // ESC 5
+                    s.iv = false;
+                    break;
+                case 0x1b7a:
+                    // ESC z n
+                    s.spacing = e & 0x01 ? 30 : 24;
+                    break;
+                case 0x1b30:
+                    // ESC 0
+                    s.spacing = 24;
+                    break;
+                case 0x1b64:
+                    // ESC d n
+                    cut();
+                    break;
+                case 0x1b6c:
+                    // ESC l n
+                    s.left = e * 12;
+                    break;
+                case 0x1b51:
+                    // ESC Q n
+                    s.width = e * 12 - s.left;
+                    break;
+                case 0x1b24:
+                    // ESC $ n
+                    s.page = 'katakana';
+                    s.sjis = (e & 0x01) > 0;
+                    s.kanji = s.sjis;
+                    break;
+                case 0x1b52:
+                    // ESC R n
+                    s.korean = e === 0x44;
+                    break;
+                case 0x1b62: {
+                    // ESC b n1 n2 n3 n4 d1 ... dk RS
+                    const body = data.subarray(i + 6, i + l - 1);
+                    const type = [ 'upc', 'upc', 'ean', 'ean', 'code39', 'itf', 'code128', 'code93', 'codabar' ][e - 48] || 'code128';
+                    const text = type === 'code128' ? code128(body, false) : body.toString('latin1');
+                    barcode({ data: text, type: type, width: data[i + 4] % 8 + 1, height: data[i + 5], hri: data[i + 3] === 50 });
+                    break;
+                }
+                case 0x1b1d:
+                    // ESC GS ...
+                    if (e === 0x61) {
+                        // ESC GS a n
+                        s.align = data[i + 3] & 0x03;
+                    }
+                    else if (e === 0x41) {
+                        // ESC GS A n1 n2
+                        s.x = u16(3);
+                    }
+                    else if (e === 0x52) {
+                        // ESC GS R n1 n2
+                        s.x += u16(3) << 16 >> 16;
+                    }
+                    else if (e === 0x74) {
+                        // ESC GS t n
+                        s.page = pages[data[i + 3]] || 'cp437';
+                        s.kanji = false;
+                    }
+                    else if (e === 0x53) {
+                        // ESC GS S m xL xH yL yH n d1 ... dk
+                        image(data.subarray(i + 9, i + l), u16(4) * 8, u16(6));
+                    }
+                    else if (e === 0x79 && data[i + 3] === 0x53) {
+                        // ESC GS y S 1 n, ESC GS y S 2 n
+                        if (data[i + 4] === 1) {
+                            s.qr.level = 'lmqh'[data[i + 5]] || 'l';
+                        }
+                        else if (data[i + 4] === 2) {
+                            s.qr.cell = data[i + 5];
+                        }
+                    }
+                    else if (e === 0x79 && data[i + 3] === 0x44) {
+                        // ESC GS y D 1 m nL nH d1 ... dk
+                        s.qr.data = iconv.decode(data.subarray(i + 8, i + l), mbcs || 'latin1');
+                    }
+                    else if (e === 0x79 && data[i + 3] === 0x50) {
+                        // ESC GS y P
+                        qrcode();
+                    }
+                    break;
+                default:
+                    break;
+            }
+        }
+        i += l;
+    }
+    if (line.length > 0) {
+        feed();
+    }
+    return svg.close();
+};
+
+const svgsharp = Object.assign({}, receiptline.commands.svg, {
+    // print text:
+    text: function (text, encoding) {
+        let p = this.textPosition;
+        const attr = Object.keys(this.textAttributes).reduce((a, key) => a + ` ${key}="${this.textAttributes[key]}"`, '');
+        const tspan = this.arrayFrom(text, encoding).reduce((a, c) => {
+            const q = this.measureText(c, encoding) * this.textScale;
+            const r = Math.floor((p + q / 2) * this.charWidth / this.textScale);
+            p += q;
+            return a + `<tspan${attr} x="${r}">${c.replace(/[ &<>]/g, r => ({' ': '&#xa0;', '&': '&amp;', '<': '&lt;', '>': '&gt;'}[r]))}</tspan>`;
+        }, '');
+        this.textElement += `<text${attr}>${tspan}</text>`;
+        this.textPosition += this.measureText(text, encoding) * this.textScale;
+        return '';
+    }
+});
+
+// bitmap font (GNU Unifont, 8x16 and 16x16 dots)
+let unifont = null;
+
+const glyph = code => {
+    if (!unifont) {
+        // load on first use
+        unifont = new Map();
+        const hex = zlib.gunzipSync(readFileSync(path.join(__dirname, 'fonts', 'unifont.hex.gz'))).toString('latin1');
+        for (const line of hex.split('\n')) {
+            const i = line.indexOf(':');
+            if (i > 0) {
+                unifont.set(parseInt(line.slice(0, i), 16), line.slice(i + 1).trim());
+            }
+        }
+    }
+    return unifont.get(code) || '';
+};
+
+const raster = Object.assign({}, receiptline.commands.base, {
+    pngWidth: 576,
+    pngHeight: 0,
+    pngData: null,
+    lineMargin: 0,
+    lineAlign: 0,
+    lineWidth: 48,
+    lineHeight: 1,
+    textElement: [],
+    textAttributes: {},
+    textPosition: 0,
+    textScale: 1,
+    feedMinimum: 24,
+    // printer configuration
+    spacing: false,
+    // start printing:
+    open: function (printer) {
+        this.pngWidth = printer.cpl * this.charWidth;
+        this.pngHeight = 0;
+        this.pngData = Buffer.alloc(this.pngWidth * 4 * 256);
+        this.lineMargin = 0;
+        this.lineAlign = 0;
+        this.lineWidth = printer.cpl;
+        this.lineHeight = 1;
+        this.textElement = [];
+        this.textAttributes = {};
+        this.textPosition = 0;
+        this.textScale = 1;
+        this.feedMinimum = Number(this.charWidth * (printer.spacing ? 2.5 : 2));
+        this.spacing = printer.spacing;
+        return '';
+    },
+    // finish printing:
+    close: function () {
+        const png = new PNG({ width: this.pngWidth, height: Math.max(this.pngHeight, 1) });
+        this.grow(png.height);
+        this.pngData.copy(png.data, 0, 0, png.data.length);
+        return PNG.sync.write(png).toString('binary');
+    },
+    // extend canvas:
+    grow: function (height) {
+        const size = this.pngWidth * 4 * height;
+        if (size > this.pngData.length) {
+            const data = Buffer.alloc(Math.max(size, this.pngData.length * 2));
+            this.pngData.copy(data);
+            this.pngData = data;
+        }
+    },
+    // fill rectangle with black or transparent:
+    fill: function (x, y, w, h, black) {
+        const x0 = Math.max(Math.round(x), 0);
+        const x1 = Math.min(Math.round(x + w), this.pngWidth);
+        const y0 = Math.max(Math.round(y), 0);
+        const y1 = Math.round(y + h);
+        this.grow(y1);
+        for (let j = y0; j < y1; j++) {
+            for (let i = x0; i < x1; i++) {
+                this.pngData.writeUInt32BE(black ? 0xff : 0, (j * this.pngWidth + i) * 4);
+            }
+        }
+    },
+    // draw character with bitmap font:
+    character: function (text, x, y, w, h, attr) {
+        // glyphs and combining marks
+        const glyphs = Array.from(text, c => {
+            const mark = /\p{M}/u.test(c);
+            return { dots: glyph(c.codePointAt(0)) || (mark ? '' : glyph(0xfffd)), mark: mark };
+        }).filter(g => !g.mark || g.dots.length === 32);
+        const width = glyphs.reduce((a, g) => a + (g.mark ? 0 : g.dots.length / 4), 0) || 8;
+        const sx = w / width;
+        const sy = h / 16;
+        const bold = attr.em ? Math.max(Math.round(sx / 1.5), 1) : 0;
+        // invert
+        if (attr.iv) {
+            this.fill(x, y, w, h, true);
+        }
+        let p = 0;
+        let q = 0;
+        for (const g of glyphs) {
+            const n = g.dots.length / 4;
+            // combining mark overlaps the preceding glyph
+            const o = g.mark ? q : p;
+            for (let dy = 0; dy < Math.round(h); dy++) {
+                const row = Math.min(Math.floor(dy / sy), 15);
+                for (let dx = Math.round(o * sx); dx < Math.round((o + n) * sx); dx++) {
+                    const col = Math.min(Math.floor(dx / sx), o + n - 1) - o;
+                    if (parseInt(g.dots[(row * n + col) >> 2], 16) >> (3 - (col & 3)) & 1) {
+                        this.fill(x + dx, y + dy, 1 + bold, 1, !attr.iv);
+                    }
+                }
+            }
+            if (!g.mark) {
+                q = p + n - 8;
+                p += n;
+            }
+        }
+        // underline
+        if (attr.ul) {
+            const t = Math.max(Math.round(sy), 1);
+            this.fill(x, y + h - t, w, t, !attr.iv);
+        }
+    },
+    // draw stroke of svg path data:
+    stroke: function (x, y, d) {
+        const token = d.match(/[a-z]|-?[\d.]+/gi);
+        let i = 0;
+        const num = () => Number(token[i++]);
+        // line with stroke width 2
+        const line = (x0, y0, x1, y1) => {
+            if (x0 === x1 || y0 === y1) {
+                // horizontal or vertical line
+                const dx = x0 === x1 ? 1 : 0;
+                const dy = y0 === y1 ? 1 : 0;
+                this.fill(x + Math.min(x0, x1) - dx, y + Math.min(y0, y1) - dy, Math.abs(x1 - x0) + dx * 2, Math.abs(y1 - y0) + dy * 2, true);
+            }
+        };
+        let cx = 0;
+        let cy = 0;
+        let cmd = '';
+        while (i < token.length) {
+            if (/[a-z]/i.test(token[i])) {
+                cmd = token[i++];
+            }
+            switch (cmd) {
+                case 'M':
+                    // move to
+                    cx = num();
+                    cy = num();
+                    break;
+                case 'm':
+                    // relative move to
+                    cx += num();
+                    cy += num();
+                    break;
+                case 'h': {
+                    // horizontal line
+                    const x1 = cx + num();
+                    line(cx, cy, x1, cy);
+                    cx = x1;
+                    break;
+                }
+                case 'v': {
+                    // vertical line
+                    const y1 = cy + num();
+                    line(cx, cy, cx, y1);
+                    cy = y1;
+                    break;
+                }
+                case 'q': {
+                    // quadratic bezier curve
+                    const x1 = cx + num(), y1 = cy + num(), x2 = cx + num(), y2 = cy + num();
+                    for (let t = 0; t <= 1; t += 1 / 16) {
+                        const px = (1 - t) * (1 - t) * cx + 2 * (1 - t) * t * x1 + t * t * x2;
+                        const py = (1 - t) * (1 - t) * cy + 2 * (1 - t) * t * y1 + t * t * y2;
+                        this.fill(x + px - 1, y + py - 1, 2, 2, true);
+                    }
+                    cx = x2;
+                    cy = y2;
+                    break;
+                }
+                default:
+                    // not used for rules
+                    i++;
+                    break;
+            }
+        }
+    },
+    // draw rules of svg command:
+    rules: function (name, args) {
+        const svg = Object.assign({}, receiptline.commands.svg, { lineMargin: this.lineMargin, svgWidth: this.pngWidth, svgHeight: this.pngHeight, svgContent: '' });
+        svg[name](...args);
+        svg.svgContent.replace(/translate\((-?[\d.]+),(-?[\d.]+)\)"><path d="([^"]+)"/g, (match, x, y, d) => this.stroke(Number(x), Number(y), d));
+        return '';
+    },
+    // set print area:
+    area: function (left, width, right) {
+        this.lineMargin = left;
+        this.lineWidth = width;
+        return '';
+    },
+    // set line alignment:
+    align: function (align) {
+        this.lineAlign = align;
+        return '';
+    },
+    // set absolute print position:
+    absolute: function (position) {
+        this.textPosition = position;
+        return '';
+    },
+    // set relative print position:
+    relative: function (position) {
+        this.textPosition += position;
+        return '';
+    },
+    // print horizontal rule:
+    hr: function (width) {
+        return this.rules('hr', [ width ]);
+    },
+    // print vertical rules:
+    vr: function (widths, height) {
+        return this.rules('vr', [ widths, height ]);
+    },
+    // start rules:
+    vrstart: function (widths) {
+        return this.rules('vrstart', [ widths ]);
+    },
+    // stop rules:
+    vrstop: function (widths) {
+        return this.rules('vrstop', [ widths ]);
+    },
+    // print vertical and horizontal rules:
+    vrhr: function (widths1, widths2, dl, dr) {
+        return this.rules('vrhr', [ widths1, widths2, dl, dr ]);
+    },
+    // set line spacing and feed new line:
+    vrlf: function (vr) {
+        this.feedMinimum = Number(this.charWidth * (!vr && this.spacing ? 2.5 : 2));
+        return this.lf();
+    },
+    // cut paper:
+    cut: function () {
+        this.character('\u2702', 0, this.pngHeight, this.charWidth * 2, this.charWidth * 2, {});
+        for (let x = this.charWidth * 2; x < this.pngWidth; x += 4) {
+            this.fill(x, this.pngHeight + 11, 2, 2, true);
         }
-        return (await sharp(Buffer.from(svg)).rotate(r).extend(x).toFormat('png').toBuffer()).toString(encoding);
-    }
-    else {
+        return this.lf();
+    },
+    // underline text:
+    ul: function () {
+        this.textAttributes.ul = true;
         return '';
-    }
-};
-
-const svgsharp = Object.assign({}, receiptline.commands.svg, {
+    },
+    // emphasize text:
+    em: function () {
+        this.textAttributes.em = true;
+        return '';
+    },
+    // invert text:
+    iv: function () {
+        this.textAttributes.iv = true;
+        return '';
+    },
+    // scale up text:
+    wh: function (wh) {
+        const w = wh < 2 ? wh + 1 : wh - 1;
+        const h = wh < 3 ? wh : wh - 1;
+        this.textAttributes.height = h;
+        this.lineHeight = Math.max(this.lineHeight, h);
+        this.textScale = w;
+        return '';
+    },
+    // cancel text decoration:
+    normal: function () {
+        this.textAttributes = {};
+        this.textScale = 1;
+        return '';
+    },
     // print text:
     text: function (text, encoding) {
         let p = this.textPosition;
-        const attr = Object.keys(this.textAttributes).reduce((a, key) => a + ` ${key}="${this.textAttributes[key]}"`, '');
-        const tspan = this.arrayFrom(text, encoding).reduce((a, c) => {
+        const h = (this.textAttributes.height || 1) * this.charWidth * 2;
+        for (const c of this.arrayFrom(text, encoding)) {
             const q = this.measureText(c, encoding) * this.textScale;
-            const r = Math.floor((p + q / 2) * this.charWidth / this.textScale);
+            this.textElement.push({ text: c, x: (this.lineMargin + p) * this.charWidth, width: q * this.charWidth, height: h, attributes: Object.assign({}, this.textAttributes) });
             p += q;
-            return a + `<tspan${attr} x="${r}">${c.replace(/[ &<>]/g, r => ({' ': '&#xa0;', '&': '&amp;', '<': '&lt;', '>': '&gt;'}[r]))}</tspan>`;
-        }, '');
-        this.textElement += `<text${attr}>${tspan}</text>`;
+        }
         this.textPosition += this.measureText(text, encoding) * this.textScale;
         return '';
+    },
+    // feed new line:
+    lf: function () {
+        const h = this.lineHeight * this.charWidth * 2;
+        this.textElement.forEach(t => this.character(t.text, t.x, this.pngHeight + h - t.height, t.width, t.height, t.attributes));
+        this.pngHeight += Math.max(h, this.feedMinimum);
+        this.lineHeight = 1;
+        this.textElement = [];
+        this.textPosition = 0;
+        return '';
+    },
+    // print image:
+    image: function (image) {
+        const img = PNG.sync.read(Buffer.from(image, 'base64'));
+        const margin = Math.floor(this.lineMargin * this.charWidth + (this.lineWidth * this.charWidth - img.width) * this.lineAlign / 2);
+        this.grow(this.pngHeight + img.height);
+        for (let y = 0; y < img.height; y++) {
+            for (let x = Math.max(-margin, 0); x < Math.min(img.width, this.pngWidth - margin); x++) {
+                const i = (y * img.width + x) * 4;
+                img.data.copy(this.pngData, ((this.pngHeight + y) * this.pngWidth + margin + x) * 4, i, i + 4);
+            }
+        }
+        this.pngHeight += img.height;
+        return '';
+    },
+    // print QR Code:
+    qrcode: function (symbol, encoding) {
+        if (symbol.data.length > 0) {
+            const matrix = receiptline.qrcode.generate(symbol);
+            const w = matrix.length;
+            const c = symbol.cell;
+            const margin = Math.floor(this.lineMargin * this.charWidth + (this.lineWidth * this.charWidth - w * c) * this.lineAlign / 2);
+            for (let y = 0; y < w; y++) {
+                for (let x = 0; x < w; x++) {
+                    if (matrix[y][x] == 1) {
+                        this.fill(margin + x * c, this.pngHeight + y * c, c, c, true);
+                    }
+                }
+            }
+            this.pngHeight += w * c;
+        }
+        return '';
+    },
+    // print barcode:
+    barcode: function (symbol, encoding) {
+        const bar = receiptline.barcode.generate(symbol);
+        const h = bar.height;
+        if ('length' in bar) {
+            const width = bar.length;
+            const height = h + (bar.hri ? this.charWidth * 2 + 2 : 0);
+            const margin = Math.floor(this.lineMargin * this.charWidth + (this.lineWidth * this.charWidth - width) * this.lineAlign / 2);
+            // draw barcode
+            bar.widths.reduce((p, w, i) => {
+                if (i % 2 === 1) {
+                    this.fill(margin + p, this.pngHeight, w, h, true);
+                }
+                return p + w;
+            }, 0);
+            // draw human readable interpretation
+            if (bar.hri) {
+                const m = Math.floor((width - (this.measureText(bar.text, encoding) - 1) * this.charWidth) / 2);
+                this.arrayFrom(bar.text, encoding).forEach((c, i) => this.character(c, margin + m + this.charWidth * (i - 0.5), this.pngHeight + height - this.charWidth * 2, this.charWidth, this.charWidth * 2, {}));
+            }
+            this.pngHeight += height;
+        }
+        return '';
     }
 });
 
+const parseAddress = destination => {
+    // ip address
+    if (net.isIP(destination)) {
+        return { host: destination, port: 9100, explicit: true };
+    }
+    // [tcp://]<host>[:<port>], [tcp://][<ipv6 address>][:<port>]
+    const addr = /^(tcp:\/\/)?(?:\[([0-9a-f:.]+(?:%[\w.-]+)?)\]|([0-9a-z][0-9a-z.-]*))(?::(\d{1,5}))?\/?$/i.exec(destination);
+    if (addr) {
+        const host = addr[2] || addr[3];
+        const port = addr[4] ? Number(addr[4]) : 9100;
+        if ((!addr[2] || net.isIPv6(host)) && port > 0 && port < 65536) {
+            return { host: host, port: port, explicit: !!addr[1] || !!addr[2] || net.isIP(host) > 0 };
+        }
+    }
+    return null;
+};
+
 const isSerialPort = async destination => {
     let list = [];
     if (serialport) {
@@ -1427,6 +4611,188 @@ const _citizen90 = {
     }
 };
 
+//
+// Fujitsu Isotec Landscape
+//
+const _fit90 = {
+    // print image: GS $ nL nH ESC $ nL nH GS 8 L p1 p2 p3 p4 m fn a bx by c xL xH yL yH d1 ... dk GS ( L pL pH m fn
+    image: function (image) {
+        const align = arguments[1] || this.alignment;
+        const left = arguments[2] || this.left;
+        const width = arguments[3] || this.width;
+        const img = PNG.sync.read(Buffer.from(image, 'base64'));
+        const w = img.width;
+        const x = left * this.charWidth + align * (width * this.charWidth - w) / 2;
+        const y = this.position;
+        let r = '';
+        const d = Array(w).fill(0);
+        let j = 0;
+        for (let z = 0; z < img.height; z += this.split) {
+            const h = Math.min(this.split, img.height - z);
+            const l = (w + 7 >> 3) * h + 10;
+            r += '\x1d$' + $(y + z + h - 1 & 255, y + z + h - 1 >> 8 & 255) + '\x1b$' + $(x & 255, x >> 8 & 255) + '\x1d8L' + $(l & 255, l >> 8 & 255, l >> 16 & 255, l >> 24 & 255, 48, 112, 48, 1, 1, 49, w & 255, w >> 8 & 255, h & 255, h >> 8 & 255);
+            for (let y = 0; y < h; y++) {
+                let i = 0, e = 0;
+                for (let x = 0; x < w; x += 8) {
+                    let b = 0;
+                    const q = Math.min(w - x, 8);
+                    for (let p = 0; p < q; p++) {
+                        const f = Math.floor((d[i] + e * 5) / 16 + Math.pow(((img.data[j] * .299 + img.data[j + 1] * .587 + img.data[j + 2] * .114 - 255) * img.data[j + 3] + 65525) / 65525, 1 / this.gamma) * 255);
+                        j += 4;
+                        if (this.gradient) {
+                            d[i] = e * 3;
+                            e = f < this.threshold ? (b |= 128 >> p, f) : f - 255;
+                            if (i > 0) {
+                                d[i - 1] += e;
+                            }
+                            d[i++] += e * 7;
+                        }
+                        else {
+                            if (f < this.threshold) {
+                                b |= 128 >> p;
+                            }
+                        }
+                    }
+                    r += $(b);
+                }
+            }
+            r += '\x1d(L' + $(2, 0, 48, 50);
+        }
+        this.buffer += r;
+        this.position += img.height;
+        return '';
+    },
+    // print QR Code: GS $ nL nH ESC $ nL nH GS 8 L p1 p2 p3 p4 m fn a bx by c xL xH yL yH d1 ... dk GS ( L pL pH m fn
+    qrcode: function (symbol, encoding) {
+        if (symbol.data.length > 0) {
+            const matrix = receiptline.qrcode.generate(symbol);
+            const w = matrix.length * symbol.cell;
+            const h = w;
+            const x = this.left * this.charWidth + this.alignment * (this.width * this.charWidth - w) / 2;
+            const y = this.position;
+            let r = '\x1d$' + $(y + h - 1 & 255, y + h - 1 >> 8 & 255) + '\x1b$' + $(x & 255, x >> 8 & 255);
+            const l = (w + 7 >> 3) * h + 10;
+            r += '\x1d8L' + $(l & 255, l >> 8 & 255, l >> 16 & 255, l >> 24 & 255, 48, 112, 48, 1, 1, 49, w & 255, w >> 8 & 255, h & 255, h >> 8 & 255);
+            for (let i = 0; i < matrix.length; i++) {
+                let d = '';
+                for (let j = 0; j < w; j += 8) {
+                    let b = 0;
+                    const q = Math.min(w - j, 8);
+                    for (let p = 0; p < q; p++) {
+                        if (matrix[i][Math.floor((j + p) / symbol.cell)] === 1) {
+                            b |= 128 >> p;
+                        }
+                    }
+                    d += $(b);
+                }
+                for (let k = 0; k < symbol.cell; k++) {
+                    r += d;
+                }
+            }
+            r += '\x1d(L' + $(2, 0, 48, 50);
+            this.buffer += r;
+            this.position += h;
+        }
+        return '';
+    }
+};
+
+//
+// ESC/POS Generic Landscape
+//
+const _generic90 = {
+    // start printing: ESC @ GS a n ESC M n ESC SP n FS S n1 n2 FS . GS P x y ESC L ESC T n
+    open: function (printer) {
+        this.upsideDown = printer.upsideDown;
+        this.spacing = printer.spacing;
+        this.cutting = printer.cutting;
+        this.gradient = printer.gradient;
+        this.gamma = printer.gamma;
+        this.threshold = printer.threshold;
+        this.alignment = 0;
+        this.left = 0;
+        this.width = printer.cpl;
+        this.right = 0;
+        this.position = 0;
+        this.content = '';
+        this.height = 1;
+        this.feed = this.charWidth * (printer.spacing ? 2.5 : 2);
+        this.cpl = printer.cpl;
+        this.margin = printer.margin;
+        this.marginRight = printer.marginRight;
+        this.buffer = '';
+        const r = printer.resolution;
+        return '\x1b@\x1da\x00\x1bM\x00\x1b \x00\x1cS\x00\x00\x1c.\x1dP' + $(r, r) + '\x1bL\x1bT' + $(this.upsideDown ? 3 : 1);
+    },
+    // print image: GS $ nL nH ESC $ nL nH ESC * m nL nH d1 ... dk
+    image: function (image) {
+        const align = arguments[1] || this.alignment;
+        const left = arguments[2] || this.left;
+        const width = arguments[3] || this.width;
+        const img = PNG.sync.read(Buffer.from(image, 'base64'));
+        const w = img.width;
+        const x = left * this.charWidth + align * (width * this.charWidth - w) / 2;
+        let r = '';
+        const d = Array(w).fill(0);
+        let j = 0;
+        for (let y = 0; y < img.height; y += 24) {
+            const b = Array(w * 3).fill(0);
+            const h = Math.min(24, img.height - y);
+            for (let z = 0; z < h; z++) {
+                let i = 0, e = 0;
+                for (let x = 0; x < w; x++) {
+                    const f = Math.floor((d[i] + e * 5) / 16 + Math.pow(((img.data[j] * .299 + img.data[j + 1] * .587 + img.data[j + 2] * .114 - 255) * img.data[j + 3] + 65525) / 65525, 1 / this.gamma) * 255);
+                    j += 4;
+                    if (this.gradient) {
+                        d[i] = e * 3;
+                        e = f < this.threshold ? (b[x * 3 + (z >> 3)] |= 128 >> (z & 7), f) : f - 255;
+                        if (i > 0) {
+                            d[i - 1] += e;
+                        }
+                        d[i++] += e * 7;
+                    }
+                    else {
+                        if (f < this.threshold) {
+                            b[x * 3 + (z >> 3)] |= 128 >> (z & 7);
+                        }
+                    }
+                }
+            }
+            const p = this.position + y + 23;
+            r += '\x1d$' + $(p & 255, p >> 8 & 255) + '\x1b$' + $(x & 255, x >> 8 & 255) + '\x1b*!' + $(w & 255, w >> 8 & 255) + b.reduce((a, c) => a + $(c), '');
+        }
+        this.buffer += r;
+        this.position += img.height;
+        return '';
+    },
+    // print QR Code: GS $ nL nH ESC $ nL nH ESC * m nL nH d1 ... dk
+    qrcode: function (symbol, encoding) {
+        if (symbol.data.length > 0) {
+            const matrix = receiptline.qrcode.generate(symbol);
+            const w = matrix.length * symbol.cell;
+            const h = w;
+            const x = this.left * this.charWidth + this.alignment * (this.width * this.charWidth - w) / 2;
+            let r = '';
+            for (let y = 0; y < h; y += 24) {
+                const b = Array(w * 3).fill(0);
+                for (let z = 0; z < Math.min(24, h - y); z++) {
+                    const row = matrix[Math.floor((y + z) / symbol.cell)];
+                    for (let x = 0; x < w; x++) {
+                        if (row[Math.floor(x / symbol.cell)] === 1) {
+                            b[x * 3 + (z >> 3)] |= 128 >> (z & 7);
+                        }
+                    }
+                }
+                const p = this.position + y + 23;
+                r += '\x1d$' + $(p & 255, p >> 8 & 255) + '\x1b$' + $(x & 255, x >> 8 & 255) + '\x1b*!' + $(w & 255, w >> 8 & 255) + b.reduce((a, c) => a + $(c), '');
+            }
+            this.buffer += r;
+            this.position += h;
+        }
+        return '';
+    }
+};
+
 //
 // Star Landscape
 //
@@ -1781,14 +5147,36 @@ const _mbcs290 = {
     }
 };
 
+//
+// Star Line Mode Landscape
+//
+const _line90 = {
+    // finish printing: ESC GS P 3 xL xH yL yH dxL dxH dyL dyH ESC GS P 7 ESC GS ETX s n1 n2 EOT
+    close: function () {
+        const w = this.position + 24;
+        const h = this.cpl * this.charWidth;
+        const v = (this.margin + this.cpl + this.marginRight) * this.charWidth;
+        const m = (this.upsideDown ? this.margin : this.marginRight) * this.charWidth;
+        return '\x1b\x1dP3' + $(0, 0, 0, 0, w & 255, w >> 8 & 255, v & 255, v >> 8 & 255) + ' \x1b\x1dP3' + $(0, 0, m & 255, m >> 8 & 255, w & 255, w >> 8 & 255, h & 255, h >> 8 & 255) + this.buffer + '\x1b\x1dP7' + (this.cutting ? this.cut() : '') + '\x1b\x1d\x03\x01\x00\x00\x04';
+    }
+};
+
 const landscape = {
     escpos: [ _escpos90 ],
     epson: [ _escpos90 ],
     sii: [ _escpos90, _sii90 ],
     citizen: [ _escpos90, _citizen90 ],
+    fit: [ _escpos90, _fit90 ],
+    generic: [ _escpos90, _generic90 ],
     starsbcs: [ _star90, _sbcs90 ],
     starmbcs: [ _star90, _mbcs90 ],
-    starmbcs2: [ _star90, _mbcs290 ]
+    starmbcs2: [ _star90, _mbcs290 ],
+    starlinesbcs: [ _star90, _sbcs90, _line90 ],
+    starlinembcs: [ _star90, _mbcs90, _line90 ],
+    starlinembcs2: [ _star90, _mbcs290, _line90 ],
+    emustarlinesbcs: [ _star90, _sbcs90, _line90 ],
+    emustarlinembcs: [ _star90, _mbcs90, _line90 ],
+    emustarlinembcs2: [ _star90, _mbcs290, _line90 ]
 };
 
-module.exports = { print: print, createPrint: createPrint };
+module.exports = { print: print, createPrint: createPrint, createSession: createSession, createQueue: createQueue, discover: discover, createEmulator: createEmulator, replay: replay, getProfile: getProfile, close: close };